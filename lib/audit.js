@@ -0,0 +1,61 @@
+/**
+ * NK Solar Tech - Audit Log
+ *
+ * Every change made through the dashboard, and every login attempt,
+ * leaves an entry:
+ *
+ *   { id, action, targetId, userId, username, changes, ip, createdAt }
+ *
+ * action is "<thing>.<verb>", e.g. product.update or auth.login_failed.
+ * changes maps each changed field to { from, to }; a create only has
+ * `to` values and a delete only `from` values.
+ */
+
+const csv = require('./csv');
+
+// Bookkeeping fields that change on every write and tell us nothing
+const IGNORED_FIELDS = ['createdAt', 'updatedAt'];
+
+// Fields whose values must never be copied into the log; a preview token
+// opens unpublished drafts to anyone who has it
+const SECRET_FIELDS = ['password', 'previewToken', 'tokenHash', 'keyHash'];
+
+const CSV_COLUMNS = ['createdAt', 'username', 'action', 'targetId', 'ip', 'changes'];
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Field-by-field difference between two versions of a record; either
+// side may be null
+function diffRecords(before, after) {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    for (const field of fields) {
+        if (IGNORED_FIELDS.includes(field)) continue;
+
+        const from = before ? before[field] : undefined;
+        const to = after ? after[field] : undefined;
+        if (same(from, to)) continue;
+
+        changes[field] = SECRET_FIELDS.includes(field)
+            ? { changed: true }
+            : { from, to };
+    }
+    return changes;
+}
+
+// An entry with any secret values hidden, for entries written before a
+// field was counted as secret
+const presentAuditEntry = (entry) => ({
+    ...entry,
+    changes: Object.fromEntries(Object.entries(entry.changes || {})
+        .map(([field, change]) => [field, SECRET_FIELDS.includes(field) ? { changed: true } : change]))
+});
+
+const toCsv = (entries) => csv.toCsv(entries.map(presentAuditEntry), CSV_COLUMNS);
+
+module.exports = {
+    diffRecords,
+    presentAuditEntry,
+    toCsv
+};
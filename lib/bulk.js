@@ -0,0 +1,213 @@
+/**
+ * NK Solar Tech - Bulk Import and Export
+ *
+ * Products can be exported as CSV or JSON, edited in a spreadsheet (or
+ * taken from a supplier price list) and imported again. Courses can be
+ * exported too.
+ *
+ * CSV files have a header row naming the columns below, in any order and
+ * case; unknown columns are ignored. In CSV a blank cell leaves the field
+ * as it is. Each row updates the product with its `id`, or failing that
+ * the one with the same title, and otherwise creates a new product.
+ *
+ * An import is checked as a whole first: each row is matched and
+ * validated, and nothing is written while any row has errors.
+ */
+
+const { parseCsv } = require('./csv');
+const { validateBody, pickFields } = require('./validation');
+const schemas = require('./schemas');
+
+const MAX_IMPORT_ROWS = 1000;
+const MAX_IMPORT_BYTES = 2 * 1024 * 1024;
+const IMPORT_EXTENSIONS = /\.(csv|json)$/i;
+
+// Export columns, which are also what an import reads. `category` is the
+// category's slug; tags are comma-separated; specs is JSON.
+const PRODUCT_COLUMNS = [
+    'id', 'title', 'description',
+    'priceAmount', 'currency', 'saleAmount', 'saleStartsAt', 'saleEndsAt', 'priceOnRequest',
+    'category', 'tags',
+    'stockQuantity', 'lowStockThreshold', 'allowPreorder',
+    'specs', 'status', 'publishAt', 'image', 'whatsappLink'
+];
+
+// Also accepted on import: `price` as text such as "₦25,000" (used when no
+// priceAmount or currency is given, see lib/pricing.js) and `categoryId`
+// as found in JSON exports
+const PRODUCT_IMPORT_COLUMNS = [...PRODUCT_COLUMNS, 'price', 'categoryId'];
+
+// Spreadsheets write TRUE and FALSE
+const BOOLEAN_COLUMNS = ['priceOnRequest', 'allowPreorder'];
+
+const COURSE_COLUMNS = [
+    'id', 'title', 'date', 'description', 'content',
+    'status', 'publishAt', 'image', 'lessonCount', 'comments', 'createdAt', 'updatedAt'
+];
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+const titleKey = (title) => String(title || '').trim().toLowerCase();
+
+// Header text -> column name: "Price Amount", "price_amount" -> priceAmount
+const headerKey = (header) => String(header).trim().toLowerCase().replace(/[\s_-]+/g, '');
+const IMPORT_HEADERS = new Map(PRODUCT_IMPORT_COLUMNS.map(column => [headerKey(column), column]));
+
+// ========================================================================
+// EXPORT
+// ========================================================================
+
+function productRow(product, categories) {
+    const category = categories.find(c => c.id === product.categoryId);
+    return {
+        ...product,
+        category: category ? category.slug : '',
+        tags: (product.tags || []).join(', '),
+        specs: isPlainObject(product.specs) && Object.keys(product.specs).length > 0 ? product.specs : ''
+    };
+}
+
+// Lessons only come along in JSON exports
+const courseRow = (course) => ({ ...course, lessonCount: (course.lessons || []).length });
+
+// ========================================================================
+// READING AN IMPORT FILE
+// ========================================================================
+
+function readCsvRows(text) {
+    let cells;
+    try {
+        cells = parseCsv(text);
+    } catch (err) {
+        return { error: `The file is not valid CSV: ${err.message}` };
+    }
+
+    const [header = [], ...lines] = cells;
+    const columns = header.map(cell => IMPORT_HEADERS.get(headerKey(cell)) || null);
+    if (!columns.includes('title') && !columns.includes('id')) {
+        return { error: 'The first row must name the columns, including title or id' };
+    }
+
+    // Blank cells are left out, so they don't change anything
+    const rows = lines.map(line => Object.fromEntries(columns
+        .map((column, i) => [column, (line[i] || '').trim()])
+        .map(([column, value]) => [column, BOOLEAN_COLUMNS.includes(column) ? value.toLowerCase() : value])
+        .filter(([column, value]) => column && value !== '')));
+
+    const ignoredColumns = header.filter((cell, i) => !columns[i] && cell.trim());
+    return { rows, ignoredColumns };
+}
+
+function readJsonRows(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        return { error: 'The file is not valid JSON' };
+    }
+
+    const rows = Array.isArray(data) ? data : isPlainObject(data) && Array.isArray(data.products) ? data.products : null;
+    if (!rows || !rows.every(isPlainObject)) return { error: 'A JSON file must hold a list of products' };
+
+    // A category from a CSV-style `category` field wins over a stale id
+    return { rows: rows.map(row => (row.category ? { ...row, categoryId: undefined } : row)), ignoredColumns: [] };
+}
+
+// { rows, ignoredColumns } from an uploaded CSV or JSON file, or { error }
+function readImportFile(file) {
+    const text = file.buffer.toString('utf8');
+    const result = /\.json$/i.test(file.originalname) ? readJsonRows(text) : readCsvRows(text);
+    if (result.error) return result;
+
+    if (result.rows.length === 0) return { error: 'The file has no products in it' };
+    if (result.rows.length > MAX_IMPORT_ROWS) return { error: `Import at most ${MAX_IMPORT_ROWS} products at a time` };
+    return result;
+}
+
+// ========================================================================
+// PLANNING AN IMPORT
+// ========================================================================
+
+// `category` may be a category's id, slug or name
+function resolveCategory(input, categories) {
+    if (input.category === undefined || input.category === null || input.category === '') return { input };
+
+    const wanted = String(input.category).trim().toLowerCase();
+    const category = categories.find(c => c.id === input.category || c.slug === wanted || titleKey(c.name) === wanted);
+    if (!category) return { input, error: `No category called "${input.category}"` };
+    return { input: { ...input, categoryId: category.id } };
+}
+
+// Match every row to the product it updates, or none for a new one, and
+// validate it. Returns one entry per row:
+//   { row, action: create | update | error, id, title, existing, input, errors }
+// where input holds the row's product fields. Errors the lib/ builders
+// find are added by the caller.
+function planImport(rows, products, categories) {
+    const byId = new Map(products.map(product => [product.id, product]));
+    const byTitle = new Map();
+    products.forEach(product => {
+        const key = titleKey(product.title);
+        byTitle.set(key, [...(byTitle.get(key) || []), product]);
+    });
+
+    // Product id (or title of a new one) -> first row about it
+    const claimed = new Map();
+
+    return rows.map((row, index) => {
+        const entry = { row: index + 1, action: 'create', id: null, title: String(row.title || ''), existing: null, errors: [] };
+        const fail = (field, message) => entry.errors.push({ field, message });
+
+        if (row.id) {
+            entry.existing = byId.get(String(row.id)) || null;
+            if (!entry.existing) fail('id', `No product has the id ${row.id}`);
+        } else if (row.title) {
+            const matches = byTitle.get(titleKey(row.title)) || [];
+            if (matches.length > 1) fail('title', `${matches.length} products are called "${row.title}"; add an id to say which`);
+            else entry.existing = matches[0] || null;
+        }
+
+        if (entry.existing) {
+            entry.action = 'update';
+            entry.id = entry.existing.id;
+            entry.title = entry.title || entry.existing.title;
+        }
+
+        // A row with neither id nor title is reported by validation below
+        const key = entry.existing ? entry.existing.id : row.title && `new:${titleKey(row.title)}`;
+        if (key && claimed.has(key)) fail(entry.existing ? 'id' : 'title', `Row ${claimed.get(key)} is about the same product`);
+        else if (key) claimed.set(key, entry.row);
+
+        const { input, error } = resolveCategory(row, categories);
+        if (error) fail('category', error);
+
+        validateBody(schemas.product, input, { partial: !!entry.existing }).forEach(e => fail(e.field, e.message));
+        entry.input = pickFields(schemas.product, input);
+
+        if (entry.errors.length > 0) entry.action = 'error';
+        return entry;
+    });
+}
+
+// Counts per action, for the preview
+const importSummary = (entries) => entries.reduce(
+    (counts, entry) => ({ ...counts, [entry.action]: counts[entry.action] + 1 }),
+    { create: 0, update: 0, unchanged: 0, error: 0 }
+);
+
+// What the preview shows of each row
+const presentImportEntry = ({ existing, input, changes, product, ...entry }) => entry;
+
+module.exports = {
+    MAX_IMPORT_ROWS,
+    MAX_IMPORT_BYTES,
+    IMPORT_EXTENSIONS,
+    PRODUCT_COLUMNS,
+    COURSE_COLUMNS,
+    productRow,
+    courseRow,
+    readImportFile,
+    planImport,
+    importSummary,
+    presentImportEntry
+};
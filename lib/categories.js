@@ -0,0 +1,90 @@
+/**
+ * NK Solar Tech - Categories and Tags
+ *
+ * Categories group the catalog (panels, inverters, batteries, ...):
+ *
+ *   { id, name, slug, parentId, order, description }
+ *
+ * Nesting is one level deep: a category either has no parent or its
+ * parent is a top-level category. Each product has at most one
+ * `categoryId` and any number of free-form `tags` (lower-case slugs).
+ */
+
+const MAX_TAGS = 20;
+
+const slugify = (text) => String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+// Validate a category against the existing ones; `existing` is the
+// category being edited, if any. Returns { category } or { error }.
+function buildCategory(input, existing, categories) {
+    const category = existing
+        ? { ...existing }
+        : { name: '', slug: '', parentId: null, order: 0, description: '' };
+
+    if (input.name !== undefined) category.name = String(input.name).trim();
+    if (input.description !== undefined) category.description = String(input.description).trim();
+    if (input.slug !== undefined) category.slug = slugify(input.slug);
+    if (!category.slug) category.slug = slugify(category.name);
+    if (input.parentId !== undefined) category.parentId = input.parentId || null;
+    if (input.order !== undefined && input.order !== '') category.order = Number(input.order);
+
+    if (!category.name) return { error: 'Category name is required' };
+    if (!category.slug) return { error: 'Category slug must contain letters or numbers' };
+    if (!Number.isInteger(category.order)) return { error: 'Display order must be a whole number' };
+
+    const others = categories.filter(c => !existing || c.id !== existing.id);
+    if (others.some(c => c.slug === category.slug)) {
+        return { error: `Another category already uses the slug "${category.slug}"` };
+    }
+
+    if (category.parentId) {
+        const parent = others.find(c => c.id === category.parentId);
+        if (!parent) return { error: 'Parent category not found' };
+        if (parent.parentId) return { error: 'Categories can only be nested one level deep' };
+        if (existing && categories.some(c => c.parentId === existing.id)) {
+            return { error: 'A category with subcategories cannot itself become a subcategory' };
+        }
+    }
+
+    return { category };
+}
+
+// Ids of a category (by id or slug) plus its subcategories, or null if
+// there is no such category
+function categoryFamily(categories, idOrSlug) {
+    const category = categories.find(c => c.id === idOrSlug || c.slug === idOrSlug);
+    if (!category) return null;
+    return [category.id, ...categories.filter(c => c.parentId === category.id).map(c => c.id)];
+}
+
+// Sort for display: by order, then name, with subcategories after
+// their parent
+function sortCategories(categories) {
+    const byOrder = (a, b) => (a.order || 0) - (b.order || 0) || a.name.localeCompare(b.name);
+    const parents = categories.filter(c => !c.parentId).sort(byOrder);
+    const orphans = categories.filter(c => c.parentId && !parents.some(p => p.id === c.parentId));
+    return [
+        ...parents.flatMap(parent => [parent, ...categories.filter(c => c.parentId === parent.id).sort(byOrder)]),
+        ...orphans.sort(byOrder)
+    ];
+}
+
+// Accept tags as an array or a comma-separated string
+function normalizeTags(input) {
+    const list = Array.isArray(input) ? input : String(input || '').split(',');
+    return [...new Set(list.map(slugify).filter(Boolean))].slice(0, MAX_TAGS);
+}
+
+module.exports = {
+    MAX_TAGS,
+    slugify,
+    buildCategory,
+    categoryFamily,
+    sortCategories,
+    normalizeTags
+};
@@ -0,0 +1,48 @@
+/**
+ * NK Solar Tech - Course Comments
+ *
+ * Public comments are held for moderation:
+ *
+ *   { id, courseId, name, message, status, ip, createdAt }
+ *
+ * status is 'pending' until an editor approves or rejects it. Only
+ * approved comments are public and counted in the course's `comments`.
+ */
+
+const COMMENT_STATUSES = ['pending', 'approved', 'rejected'];
+
+const MAX_NAME_LENGTH = 80;
+const MAX_MESSAGE_LENGTH = 2000;
+const MAX_LINKS = 2;
+
+// Hidden form field that real visitors never fill in
+const HONEYPOT_FIELD = 'website';
+
+const LINK_PATTERN = /(https?:\/\/|www\.)/gi;
+
+// Check a public submission. Returns { comment }, { error } or
+// { spam: true } for honeypot hits, which should be silently dropped.
+function checkComment(body) {
+    if (body[HONEYPOT_FIELD]) return { spam: true };
+
+    const name = String(body.name || '').trim();
+    const message = String(body.message || '').trim();
+
+    if (!name || !message) return { error: 'Name and message are required' };
+    if (name.length > MAX_NAME_LENGTH) return { error: `Name must be at most ${MAX_NAME_LENGTH} characters` };
+    if (message.length > MAX_MESSAGE_LENGTH) return { error: `Message must be at most ${MAX_MESSAGE_LENGTH} characters` };
+    if ((message.match(LINK_PATTERN) || []).length > MAX_LINKS) {
+        return { error: `Please include no more than ${MAX_LINKS} links` };
+    }
+    return { comment: { name, message } };
+}
+
+// What visitors get to see of an approved comment
+const publicComment = ({ id, name, message, createdAt }) => ({ id, name, message, createdAt });
+
+module.exports = {
+    COMMENT_STATUSES,
+    HONEYPOT_FIELD,
+    checkComment,
+    publicComment
+};
@@ -0,0 +1,52 @@
+/**
+ * NK Solar Tech - CSRF Protection
+ *
+ * The session cookie is SameSite=Lax, so browsers already leave it off
+ * requests other sites make with fetch() or a form POST. On top of that,
+ * a request that changes something with a logged-in session must
+ *
+ *   - come from this server or an allowed origin (its Origin header, or
+ *     its Referer when a browser leaves Origin out), and
+ *   - send the session's token in an X-CSRF-Token header. The dashboard
+ *     gets it from GET /api/auth/status.
+ *
+ * Logging in only needs the origin check. Requests with a bearer token
+ * need neither: a browser never adds one by itself.
+ */
+
+const crypto = require('crypto');
+
+const CSRF_HEADER = 'X-CSRF-Token';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const newCsrfToken = () => crypto.randomBytes(32).toString('base64url');
+
+function matchesCsrfToken(given, expected) {
+    if (!given || !expected) return false;
+    const a = Buffer.from(String(given));
+    const b = Buffer.from(String(expected));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Where a request says it comes from, or null when it doesn't say (curl
+// and other scripts). An unreadable Referer counts as nowhere in particular.
+function requestOrigin(req) {
+    const origin = req.get('origin');
+    if (origin) return origin;
+
+    const referer = req.get('referer');
+    if (!referer) return null;
+    try {
+        return new URL(referer).origin;
+    } catch (err) {
+        return 'null';
+    }
+}
+
+module.exports = {
+    CSRF_HEADER,
+    SAFE_METHODS,
+    newCsrfToken,
+    matchesCsrfToken,
+    requestOrigin
+};
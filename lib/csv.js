@@ -0,0 +1,82 @@
+/**
+ * NK Solar Tech - CSV
+ *
+ * Writing CSV for downloads (audit log, product and course exports) and
+ * reading the CSV files uploaded for bulk imports. Files are RFC 4180
+ * style: quoted cells may hold commas, quotes ("") and line breaks.
+ */
+
+// Quote a CSV cell. Cells that a spreadsheet would treat as a formula
+// get a leading apostrophe.
+function csvCell(value) {
+    let text = value === undefined || value === null ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// `records` as CSV with one column per entry in `columns`
+function toCsv(records, columns) {
+    const rows = records.map(record => columns.map(column => csvCell(record[column])).join(','));
+    return [columns.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+// Spreadsheets set up for some locales save with semicolons; whichever of
+// the two the header line uses more of is the separator
+const separatorOf = (text) => {
+    const header = text.split(/\r?\n/, 1)[0];
+    return (header.match(/;/g) || []).length > (header.match(/,/g) || []).length ? ';' : ',';
+};
+
+// Rows of cells from CSV text, skipping blank lines. Undoes the
+// apostrophe csvCell() adds, so exports can be imported again. Throws on
+// a quote that is never closed.
+function parseCsv(text) {
+    const input = String(text).replace(/^\uFEFF/, '');
+    const separator = separatorOf(input);
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    const endCell = () => {
+        row.push(cell.replace(/^'(?=[=+\-@\t\r])/, ''));
+        cell = '';
+    };
+    const endRow = () => {
+        endCell();
+        if (row.some(value => value.trim() !== '')) rows.push(row);
+        row = [];
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const ch = input[i];
+        if (quoted) {
+            if (ch === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                cell += ch;
+            }
+        } else if (ch === '"' && cell === '') {
+            quoted = true;
+        } else if (ch === separator) {
+            endCell();
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && input[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            cell += ch;
+        }
+    }
+    if (quoted) throw new Error('A quoted cell is never closed');
+    if (cell !== '' || row.length > 0) endRow();
+    return rows;
+}
+
+module.exports = {
+    csvCell,
+    toCsv,
+    parseCsv
+};
@@ -0,0 +1,130 @@
+/**
+ * NK Solar Tech - Quote and Installation Enquiries
+ *
+ * Visitors ask for a quote or an installation through the public form:
+ *
+ *   { id, type, name, phone, location, productIds, productTitles, message,
+ *     status, assignedTo, notes, ip, createdAt }
+ *
+ * productTitles is a snapshot taken on submission, so the inbox still
+ * makes sense after a product is renamed or deleted. notes is a list of
+ * { id, text, userId, username, createdAt } added by staff.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { fillTemplate } = require('./settings');
+
+const ENQUIRY_TYPES = ['quote', 'installation'];
+const ENQUIRY_STATUSES = ['new', 'contacted', 'won', 'lost'];
+
+const MAX_NAME_LENGTH = 80;
+const MAX_LOCATION_LENGTH = 120;
+const MAX_MESSAGE_LENGTH = 2000;
+const MAX_NOTE_LENGTH = 2000;
+const MAX_PRODUCTS = 20;
+
+// Same hidden field as the comment form
+const HONEYPOT_FIELD = 'website';
+
+// Digits with optional +, spaces, dashes and brackets, e.g. +234 913 124 0760
+const PHONE_PATTERN = /^\+?[\d\s\-()]+$/;
+
+const toList = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+
+// Check a public submission against the product catalog. Returns
+// { enquiry }, { error } or { spam: true } for honeypot hits.
+function checkEnquiry(body, products) {
+    if (body[HONEYPOT_FIELD]) return { spam: true };
+
+    const type = body.type || 'quote';
+    const name = String(body.name || '').trim();
+    const phone = String(body.phone || '').trim();
+    const location = String(body.location || '').trim();
+    const message = String(body.message || '').trim();
+    const productIds = [...new Set(toList(body.productIds))];
+
+    if (!ENQUIRY_TYPES.includes(type)) return { error: `Type must be one of: ${ENQUIRY_TYPES.join(', ')}` };
+    if (!name || !phone) return { error: 'Name and phone number are required' };
+    if (name.length > MAX_NAME_LENGTH) return { error: `Name must be at most ${MAX_NAME_LENGTH} characters` };
+    if (!PHONE_PATTERN.test(phone) || phone.replace(/\D/g, '').length < 7 || phone.replace(/\D/g, '').length > 15) {
+        return { error: 'Please enter a valid phone number' };
+    }
+    if (location.length > MAX_LOCATION_LENGTH) return { error: `Location must be at most ${MAX_LOCATION_LENGTH} characters` };
+    if (message.length > MAX_MESSAGE_LENGTH) return { error: `Message must be at most ${MAX_MESSAGE_LENGTH} characters` };
+    if (!message && productIds.length === 0) return { error: 'Tell us what you need or pick at least one product' };
+    if (productIds.length > MAX_PRODUCTS) return { error: `Please pick no more than ${MAX_PRODUCTS} products` };
+
+    const productTitles = [];
+    for (const id of productIds) {
+        const product = products.find(p => p.id === id);
+        if (!product) return { error: `Product not found: ${id}` };
+        productTitles.push(product.title);
+    }
+
+    return { enquiry: { type, name, phone, location, productIds, productTitles, message } };
+}
+
+// Staff changes to an enquiry: { status, assignedTo }. `users` is the
+// list of possible assignees. Returns { changes } or { error }.
+function buildEnquiryUpdate(input, users) {
+    const changes = {};
+
+    if (input.status !== undefined) {
+        if (!ENQUIRY_STATUSES.includes(input.status)) {
+            return { error: `Status must be one of: ${ENQUIRY_STATUSES.join(', ')}` };
+        }
+        changes.status = input.status;
+    }
+
+    if (input.assignedTo !== undefined) {
+        changes.assignedTo = input.assignedTo || null;
+        if (changes.assignedTo && !users.some(u => u.id === changes.assignedTo)) {
+            return { error: 'Assigned user not found' };
+        }
+    }
+
+    return { changes };
+}
+
+// A staff note, ready to append to enquiry.notes. Returns { note } or { error }.
+function buildNote(input, user) {
+    const text = String(input.text || '').trim();
+    if (!text) return { error: 'Note text is required' };
+    if (text.length > MAX_NOTE_LENGTH) return { error: `Note must be at most ${MAX_NOTE_LENGTH} characters` };
+
+    return {
+        note: {
+            id: `note-${uuidv4().substring(0, 8)}`,
+            text,
+            userId: user.id,
+            username: user.username,
+            createdAt: new Date().toISOString()
+        }
+    };
+}
+
+// Text for the WhatsApp alternative, so a chat starts with the same
+// details: the settings' enquiry template followed by the enquiry itself
+function enquiryMessage({ type, name, location, productTitles, message }, settings) {
+    const lines = [fillTemplate(settings.messageTemplates.enquiry, {
+        business: settings.businessName,
+        request: type === 'installation' ? 'an installation' : 'a quote'
+    })];
+    if (productTitles.length > 0) lines.push(`Products: ${productTitles.join(', ')}`);
+    if (location) lines.push(`Location: ${location}`);
+    if (message) lines.push(message);
+    lines.push(`- ${name}`);
+    return lines.join('\n');
+}
+
+module.exports = {
+    ENQUIRY_TYPES,
+    ENQUIRY_STATUSES,
+    HONEYPOT_FIELD,
+    checkEnquiry,
+    buildEnquiryUpdate,
+    buildNote,
+    enquiryMessage
+};
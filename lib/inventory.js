@@ -0,0 +1,100 @@
+/**
+ * NK Solar Tech - Inventory
+ *
+ * Stock fields on a product:
+ *
+ *   stockQuantity      units on hand, or null when stock isn't tracked
+ *   lowStockThreshold  at or below this many units the product is "low"
+ *   allowPreorder      keep selling as preorder once stock runs out
+ *
+ * Every change to stockQuantity is recorded as a stock movement:
+ *
+ *   { productId, change, quantityAfter, reason, userId, username, createdAt }
+ */
+
+const AVAILABILITY = ['in_stock', 'low_stock', 'out_of_stock', 'preorder'];
+const DEFAULT_LOW_STOCK_THRESHOLD = 5;
+const MAX_REASON_LENGTH = 200;
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+const toCount = (value) => (isBlank(value) ? null : /^-?\d+$/.test(String(value)) ? Number(value) : NaN);
+const toBoolean = (value) => value === true || value === 'true' || value === 'on' || value === '1';
+
+function availability(product) {
+    const quantity = product.stockQuantity;
+    if (quantity === null || quantity === undefined) return 'in_stock';
+    if (quantity <= 0) return product.allowPreorder ? 'preorder' : 'out_of_stock';
+    if (quantity <= (product.lowStockThreshold ?? DEFAULT_LOW_STOCK_THRESHOLD)) return 'low_stock';
+    return 'in_stock';
+}
+
+// Stock settings from a product form. Returns { changes } or { error }.
+function buildStockSettings(input, existing = null) {
+    const changes = {};
+
+    if (input.stockQuantity !== undefined) changes.stockQuantity = toCount(input.stockQuantity);
+    if (input.lowStockThreshold !== undefined) {
+        changes.lowStockThreshold = toCount(input.lowStockThreshold) ?? DEFAULT_LOW_STOCK_THRESHOLD;
+    }
+    if (input.allowPreorder !== undefined) changes.allowPreorder = toBoolean(input.allowPreorder);
+
+    if (Number.isNaN(changes.stockQuantity) || changes.stockQuantity < 0) {
+        return { error: 'Stock quantity must be a whole number of at least 0, or empty to not track stock' };
+    }
+    if (Number.isNaN(changes.lowStockThreshold) || changes.lowStockThreshold < 0) {
+        return { error: 'Low stock threshold must be a whole number of at least 0' };
+    }
+
+    if (!existing) {
+        changes.stockQuantity = changes.stockQuantity ?? null;
+        changes.lowStockThreshold = changes.lowStockThreshold ?? DEFAULT_LOW_STOCK_THRESHOLD;
+        changes.allowPreorder = changes.allowPreorder ?? false;
+    }
+    return { changes };
+}
+
+// Validate an adjustment of { change } (relative) or { quantity }
+// (absolute) with a reason. Returns { change, quantityAfter, reason } or
+// { error }.
+function buildAdjustment(input, product) {
+    const reason = String(input.reason || '').trim();
+    if (!reason) return { error: 'A reason is required for every stock adjustment' };
+    if (reason.length > MAX_REASON_LENGTH) return { error: `Reason must be at most ${MAX_REASON_LENGTH} characters` };
+
+    const current = product.stockQuantity ?? 0;
+    let quantityAfter;
+
+    if (!isBlank(input.quantity)) {
+        quantityAfter = toCount(input.quantity);
+    } else if (!isBlank(input.change)) {
+        const change = toCount(input.change);
+        quantityAfter = Number.isNaN(change) ? NaN : current + change;
+    } else {
+        return { error: 'Send either change (e.g. -2) or quantity (the new count)' };
+    }
+
+    if (Number.isNaN(quantityAfter)) return { error: 'Stock amounts must be whole numbers' };
+    if (quantityAfter < 0) return { error: `Only ${current} in stock` };
+
+    return { change: quantityAfter - current, quantityAfter, reason };
+}
+
+// Add `availability` for responses; exact counts are only kept when
+// `showCounts` is set (logged-in users, or PUBLIC_STOCK_COUNTS=true)
+function presentStock(product, showCounts) {
+    const presented = { ...product, availability: availability(product) };
+    if (!showCounts) {
+        delete presented.stockQuantity;
+        delete presented.lowStockThreshold;
+    }
+    return presented;
+}
+
+module.exports = {
+    AVAILABILITY,
+    DEFAULT_LOW_STOCK_THRESHOLD,
+    availability,
+    buildStockSettings,
+    buildAdjustment,
+    presentStock
+};
@@ -0,0 +1,64 @@
+/**
+ * NK Solar Tech - Course Curriculum
+ *
+ * A course's curriculum is an ordered array of lessons stored on the
+ * course record itself (a jsonb column in Supabase):
+ *
+ *   { id, title, body, video, duration }
+ *
+ * `video` is an optional path under the /videos static mount and
+ * `duration` is in minutes. Helpers here never mutate their input.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const VIDEO_EXTENSIONS = /\.(mp4|webm|ogg|mov|m4v)$/i;
+
+const isVideoPath = (video) => video.startsWith('/videos/') && !video.includes('..') && VIDEO_EXTENSIONS.test(video);
+
+// Validate lesson fields; `existing` is the lesson being edited, if any.
+// Returns { lesson } or { error }.
+function buildLesson(input, existing = null) {
+    const lesson = existing ? { ...existing } : { id: `lesson-${uuidv4().substring(0, 8)}`, title: '', body: '', video: '', duration: 0 };
+
+    if (input.title !== undefined) lesson.title = String(input.title).trim();
+    if (input.body !== undefined) lesson.body = String(input.body);
+    if (input.video !== undefined) lesson.video = String(input.video).trim();
+    if (input.duration !== undefined && input.duration !== '') lesson.duration = Number(input.duration);
+
+    if (!lesson.title) return { error: 'Lesson title is required' };
+    if (lesson.video && !isVideoPath(lesson.video)) {
+        return { error: 'Lesson video must be a /videos/ path to an mp4, webm, ogg, mov or m4v file' };
+    }
+    if (!Number.isInteger(lesson.duration) || lesson.duration < 0) {
+        return { error: 'Lesson duration must be a whole number of minutes' };
+    }
+    return { lesson };
+}
+
+// Insert at a zero-based position, or append when position is missing
+function insertLesson(lessons, lesson, position) {
+    const index = position === undefined || position === '' ? lessons.length : Number(position);
+    const clamped = Number.isInteger(index) ? Math.min(Math.max(index, 0), lessons.length) : lessons.length;
+    return [...lessons.slice(0, clamped), lesson, ...lessons.slice(clamped)];
+}
+
+// Reorder by a full list of lesson ids. Returns { lessons } or { error }.
+function reorderLessons(lessons, order) {
+    if (!Array.isArray(order) || order.length !== lessons.length || new Set(order).size !== order.length) {
+        return { error: 'Order must list every lesson id exactly once' };
+    }
+
+    const byId = new Map(lessons.map(l => [l.id, l]));
+    if (!order.every(id => byId.has(id))) {
+        return { error: 'Order contains an unknown lesson id' };
+    }
+    return { lessons: order.map(id => byId.get(id)) };
+}
+
+module.exports = {
+    VIDEO_EXTENSIONS,
+    buildLesson,
+    insertLesson,
+    reorderLessons
+};
@@ -0,0 +1,123 @@
+/**
+ * NK Solar Tech - Media Storage
+ *
+ * Uploaded images go through a media store with the same interface in
+ * both modes:
+ *
+ *   save(file)  -> public URL for a multer memory-storage file
+ *   remove(url) -> deletes a previously saved image (never throws)
+ *
+ * Supabase mode stores files in the product-images bucket. Local mode
+ * writes them under public/uploads and serves them from /uploads.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const BUCKET = 'product-images';
+const LOCAL_PREFIX = '/uploads/';
+
+// Collision-free file name that keeps the original extension
+const uniqueName = (originalName) => `${uuidv4()}${path.extname(originalName).toLowerCase()}`;
+
+const CONTENT_TYPES = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.gif': 'image/gif', '.webp': 'image/webp' };
+
+const contentTypeOf = (name) => CONTENT_TYPES[path.extname(name).toLowerCase()] || 'application/octet-stream';
+
+// Where an image URL points: { file } under public/uploads, { objectPath }
+// in the bucket, or null for anything else (external links, no image)
+function imageLocation(url) {
+    if (!url) return null;
+    if (url.startsWith(LOCAL_PREFIX)) return { file: path.basename(url) };
+
+    const marker = `/storage/v1/object/public/${BUCKET}/`;
+    const index = url.indexOf(marker);
+    return index === -1 ? null : { objectPath: decodeURIComponent(url.slice(index + marker.length)) };
+}
+
+// ========================================================================
+// LOCAL DISK
+// ========================================================================
+
+function createLocalMediaStore(uploadsDir) {
+    fs.mkdirSync(uploadsDir, { recursive: true });
+
+    return {
+        async save(file) {
+            const filename = uniqueName(file.originalname);
+            await fs.promises.writeFile(path.join(uploadsDir, filename), file.buffer);
+            return `${LOCAL_PREFIX}${filename}`;
+        },
+
+        async remove(url) {
+            if (!url || !url.startsWith(LOCAL_PREFIX)) return;
+
+            // basename() keeps a crafted URL from reaching outside uploadsDir
+            try {
+                await fs.promises.unlink(path.join(uploadsDir, path.basename(url)));
+            } catch (err) {
+                if (err.code !== 'ENOENT') console.warn('Could not delete image:', err.message);
+            }
+        }
+    };
+}
+
+// ========================================================================
+// SUPABASE STORAGE
+// ========================================================================
+
+function createSupabaseMediaStore(client) {
+    return {
+        async save(file) {
+            const filePath = `products/${uniqueName(file.originalname)}`;
+
+            const { error } = await client.storage
+                .from(BUCKET)
+                .upload(filePath, file.buffer, { contentType: file.mimetype });
+
+            if (error) throw error;
+
+            const { data: urlData } = client.storage
+                .from(BUCKET)
+                .getPublicUrl(filePath);
+
+            return urlData.publicUrl;
+        },
+
+        async remove(url) {
+            // Only images in this project's bucket; external links, and
+            // other projects' buckets, are left alone
+            const location = imageLocation(url);
+            if (!location || !location.objectPath) return;
+
+            try {
+                const ownUrl = client.storage.from(BUCKET).getPublicUrl(location.objectPath).data.publicUrl;
+                if (new URL(url).origin !== new URL(ownUrl).origin) return;
+                await client.storage.from(BUCKET).remove([location.objectPath]);
+            } catch (err) {
+                console.warn('Could not delete image:', err.message);
+            }
+        }
+    };
+}
+
+// ========================================================================
+// FACTORY
+// ========================================================================
+
+function createMediaStore({ supabaseClient, uploadsDir }) {
+    return supabaseClient
+        ? createSupabaseMediaStore(supabaseClient)
+        : createLocalMediaStore(uploadsDir);
+}
+
+module.exports = {
+    BUCKET,
+    LOCAL_PREFIX,
+    contentTypeOf,
+    imageLocation,
+    createMediaStore,
+    createLocalMediaStore,
+    createSupabaseMediaStore
+};
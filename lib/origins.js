@@ -0,0 +1,48 @@
+/**
+ * NK Solar Tech - Allowed Origins
+ *
+ * Sites other than this server that may call the API from a browser
+ * (CORS). They come from CLIENT_URL, ALLOWED_ORIGINS (comma-separated)
+ * and the allowedOrigins setting, each one either
+ *
+ *   https://example.com       exactly that origin
+ *   https://*.example.com     any subdomain of example.com, however deep,
+ *                             but not example.com itself
+ *
+ * The scheme and port always have to match.
+ */
+
+const ORIGIN_PATTERN = /^https?:\/\/(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*(:\d+)?$/i;
+const SUBDOMAIN = /^[a-z0-9-]+(\.[a-z0-9-]+)*$/;
+
+const normalizeOrigin = (origin) => String(origin || '').trim().replace(/\/+$/, '').toLowerCase();
+
+const isOriginPattern = (value) => ORIGIN_PATTERN.test(value);
+
+// "a, b" (or a list) -> normalized origins, without duplicates
+const parseOrigins = (value) => [...new Set((Array.isArray(value) ? value : String(value || '').split(/[\s,]+/))
+    .map(normalizeOrigin)
+    .filter(Boolean))];
+
+function matchesOrigin(origin, pattern) {
+    const star = pattern.indexOf('://*.');
+    if (star === -1) return origin === pattern;
+
+    const scheme = pattern.slice(0, star + 3);
+    const suffix = pattern.slice(star + 4);
+    if (!origin.startsWith(scheme) || !origin.endsWith(suffix)) return false;
+    return SUBDOMAIN.test(origin.slice(scheme.length, origin.length - suffix.length));
+}
+
+// Whether a request's Origin header matches any of `patterns`
+function isAllowedOrigin(origin, patterns) {
+    const wanted = normalizeOrigin(origin);
+    return !!wanted && patterns.some(pattern => matchesOrigin(wanted, pattern));
+}
+
+module.exports = {
+    normalizeOrigin,
+    isOriginPattern,
+    parseOrigins,
+    isAllowedOrigin
+};
@@ -0,0 +1,70 @@
+/**
+ * NK Solar Tech - Password Hashing
+ *
+ * Passwords are stored as salted scrypt hashes:
+ *
+ *   scrypt$<N>$<r>$<p>$<salt base64>$<hash base64>
+ *
+ * Anything not in that format is treated as a legacy plaintext password,
+ * which verifyPassword() still accepts so it can be rehashed on login.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const PREFIX = 'scrypt';
+const PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+// Password shipped in data/users.json; logging in with it forces a change
+const DEFAULT_ADMIN_PASSWORD = 'admin123';
+const MIN_PASSWORD_LENGTH = 8;
+
+const isHashed = (stored) => typeof stored === 'string' && stored.startsWith(`${PREFIX}$`);
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_BYTES);
+    const { N, r, p } = PARAMS;
+    const hash = await scrypt(password, salt, KEY_LENGTH, { N, r, p });
+    return [PREFIX, N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+async function verifyPassword(password, stored) {
+    if (typeof password !== 'string' || typeof stored !== 'string') return false;
+
+    if (!isHashed(stored)) {
+        // Legacy plaintext record
+        const a = Buffer.from(password);
+        const b = Buffer.from(stored);
+        return a.length === b.length && crypto.timingSafeEqual(a, b);
+    }
+
+    const [, N, r, p, salt, hash] = stored.split('$');
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+        N: Number(N), r: Number(r), p: Number(p)
+    });
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+// Returns an error message, or null if the password is acceptable
+function checkPasswordStrength(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    if (password === DEFAULT_ADMIN_PASSWORD) {
+        return 'Please choose a password other than the default';
+    }
+    return null;
+}
+
+module.exports = {
+    DEFAULT_ADMIN_PASSWORD,
+    isHashed,
+    hashPassword,
+    verifyPassword,
+    checkPasswordStrength
+};
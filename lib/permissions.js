@@ -0,0 +1,34 @@
+/**
+ * NK Solar Tech - Roles and Permissions
+ *
+ *   admin  - everything, including managing users and site settings and
+ *            reading the audit log
+ *   editor - create and edit content, but not delete it or manage users
+ *   viewer - read-only access to the dashboard
+ *
+ * Users created before roles existed have no role and are treated as
+ * admins, matching the default the old migration script always wrote.
+ */
+
+const ROLES = ['admin', 'editor', 'viewer'];
+const DEFAULT_ROLE = 'admin';
+
+const PERMISSIONS = {
+    admin: ['content:read', 'content:write', 'content:delete', 'users:manage', 'settings:manage', 'audit:read'],
+    editor: ['content:read', 'content:write'],
+    viewer: ['content:read']
+};
+
+const roleOf = (user) => (user && user.role) || DEFAULT_ROLE;
+
+const permissionsFor = (role) => PERMISSIONS[role] || [];
+
+const can = (user, permission) => permissionsFor(roleOf(user)).includes(permission);
+
+module.exports = {
+    ROLES,
+    PERMISSIONS,
+    roleOf,
+    permissionsFor,
+    can
+};
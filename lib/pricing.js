@@ -0,0 +1,174 @@
+/**
+ * NK Solar Tech - Product Pricing
+ *
+ * Prices are stored as structured fields on the product:
+ *
+ *   priceAmount     integer, minor units (kobo for NGN), or null
+ *   currency        ISO code, default NGN
+ *   saleAmount      optional discounted amount, minor units
+ *   saleStartsAt    optional ISO timestamp the sale begins
+ *   saleEndsAt      optional ISO timestamp the sale ends
+ *   priceOnRequest  true when we quote each customer individually
+ *
+ * Products from before this model keep their free-text `price` until
+ * migrate-prices.js parses it. API responses always carry a display
+ * string in `price`, so older frontends keep working.
+ */
+
+const CURRENCIES = ['NGN', 'USD', 'GBP', 'EUR'];
+const DEFAULT_CURRENCY = 'NGN';
+const MINOR_UNITS = 100;
+
+const ON_REQUEST_PATTERN = /contact|request|call|enquire|inquire|ask|whatsapp/i;
+const SYMBOLS = { '₦': 'NGN', '$': 'USD', '£': 'GBP', '€': 'EUR' };
+const MULTIPLIERS = { k: 1e3, m: 1e6 };
+
+// ========================================================================
+// PARSING FREE TEXT
+// ========================================================================
+
+// Parse legacy text such as "₦25,000", "NGN 1.2m", "45k" or "Contact for
+// price". Returns { amount, currency }, { onRequest: true } or null for
+// anything else ("5 kVA", "₦20k-₦30k", ...).
+function parsePriceText(text) {
+    const value = String(text || '').trim();
+    if (!value) return null;
+    if (ON_REQUEST_PATTERN.test(value)) return { onRequest: true };
+
+    let currency = DEFAULT_CURRENCY;
+    const code = value.toUpperCase().match(/\b(NGN|USD|GBP|EUR)\b/);
+    const symbol = Object.keys(SYMBOLS).find(s => value.includes(s));
+    if (code) currency = code[1];
+    else if (symbol) currency = SYMBOLS[symbol];
+
+    // What's left after the currency must be a single number, optionally
+    // with thousands separators and a k/m suffix
+    const number = value
+        .replace(/\b(NGN|USD|GBP|EUR|naira)\b/gi, '')
+        .replace(/[₦$£€\s]/g, '')
+        .replace(/,(?=\d{3}(\D|$))/g, '')
+        .match(/^(\d+(?:\.\d+)?)([km]?)$/i);
+    if (!number) return null;
+
+    const major = Number(number[1]) * (MULTIPLIERS[number[2].toLowerCase()] || 1);
+
+    return { amount: Math.round(major * MINOR_UNITS), currency };
+}
+
+// ========================================================================
+// VALIDATING INPUT
+// ========================================================================
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const toAmount = (value) => (isBlank(value) ? null : /^\d+$/.test(String(value)) ? Number(value) : NaN);
+const toDate = (value) => (isBlank(value) ? null : Number.isNaN(Date.parse(value)) ? NaN : new Date(value).toISOString());
+const toBoolean = (value) => value === true || value === 'true' || value === 'on' || value === '1';
+
+const PRICE_FIELDS = ['priceAmount', 'currency', 'saleAmount', 'saleStartsAt', 'saleEndsAt', 'priceOnRequest'];
+
+// Build the pricing changes for a create (existing = null) or update from
+// request body fields. Omitted fields keep their current value. A legacy
+// `price` string is parsed when no structured amount is sent.
+// Returns { changes } or { error }.
+function buildPricing(input, existing = null) {
+    const changes = {};
+
+    if (!PRICE_FIELDS.some(f => input[f] !== undefined) && input.price !== undefined) {
+        const parsed = parsePriceText(input.price);
+        if (parsed && parsed.onRequest) {
+            Object.assign(changes, { priceAmount: null, priceOnRequest: true, price: '' });
+        } else if (parsed) {
+            Object.assign(changes, { priceAmount: parsed.amount, currency: parsed.currency, priceOnRequest: false, price: '' });
+        } else {
+            // Keep text we can't understand rather than losing it
+            changes.price = String(input.price).trim();
+        }
+    }
+
+    if (input.priceAmount !== undefined) changes.priceAmount = toAmount(input.priceAmount);
+    if (input.saleAmount !== undefined) changes.saleAmount = toAmount(input.saleAmount);
+    if (input.saleStartsAt !== undefined) changes.saleStartsAt = toDate(input.saleStartsAt);
+    if (input.saleEndsAt !== undefined) changes.saleEndsAt = toDate(input.saleEndsAt);
+    if (input.priceOnRequest !== undefined) changes.priceOnRequest = toBoolean(input.priceOnRequest);
+    if (input.currency !== undefined) changes.currency = String(input.currency).trim().toUpperCase() || DEFAULT_CURRENCY;
+
+    // A structured amount supersedes any legacy text
+    if (changes.priceAmount !== undefined && changes.priceAmount !== null) changes.price = '';
+
+    const result = { currency: DEFAULT_CURRENCY, priceOnRequest: false, ...(existing || {}), ...changes };
+
+    if (Number.isNaN(result.priceAmount)) return { error: 'priceAmount must be a whole number of minor units (kobo)' };
+    if (Number.isNaN(result.saleAmount)) return { error: 'saleAmount must be a whole number of minor units (kobo)' };
+    if (Number.isNaN(result.saleStartsAt) || Number.isNaN(result.saleEndsAt)) return { error: 'Sale dates must be valid dates' };
+    if (!CURRENCIES.includes(result.currency)) return { error: `currency must be one of: ${CURRENCIES.join(', ')}` };
+
+    if (!isBlank(result.saleAmount)) {
+        if (isBlank(result.priceAmount)) return { error: 'A sale price needs a regular price' };
+        if (result.saleAmount >= result.priceAmount) return { error: 'Sale price must be lower than the regular price' };
+    }
+    if (result.saleStartsAt && result.saleEndsAt && result.saleEndsAt <= result.saleStartsAt) {
+        return { error: 'Sale must end after it starts' };
+    }
+
+    if (!existing) {
+        changes.currency = result.currency;
+        changes.priceOnRequest = result.priceOnRequest;
+    }
+    return { changes };
+}
+
+// ========================================================================
+// OUTPUT
+// ========================================================================
+
+const isSaleActive = (product, now = new Date()) => {
+    if (isBlank(product.saleAmount) || isBlank(product.priceAmount)) return false;
+    if (product.saleStartsAt && new Date(product.saleStartsAt) > now) return false;
+    if (product.saleEndsAt && new Date(product.saleEndsAt) <= now) return false;
+    return true;
+};
+
+function formatAmount(amount, currency = DEFAULT_CURRENCY) {
+    const whole = amount % MINOR_UNITS === 0;
+    return new Intl.NumberFormat('en-NG', {
+        style: 'currency',
+        currency,
+        minimumFractionDigits: whole ? 0 : 2,
+        maximumFractionDigits: whole ? 0 : 2
+    }).format(amount / MINOR_UNITS);
+}
+
+// Add display fields to a product for API responses:
+//   price              what to show customers, e.g. "₦25,000"
+//   currentAmount      what a customer pays right now, minor units
+//   onSale             whether the sale price applies right now
+//   regularPrice       the crossed-out price while on sale
+function presentPrice(product, now = new Date()) {
+    const onSale = isSaleActive(product, now);
+    const currentAmount = onSale ? product.saleAmount : (isBlank(product.priceAmount) ? null : product.priceAmount);
+    const currency = product.currency || DEFAULT_CURRENCY;
+
+    let price = product.price || '';
+    if (product.priceOnRequest) price = 'Price on request';
+    else if (currentAmount !== null) price = formatAmount(currentAmount, currency);
+
+    return {
+        ...product,
+        price,
+        currentAmount,
+        onSale,
+        regularPrice: onSale ? formatAmount(product.priceAmount, currency) : null
+    };
+}
+
+module.exports = {
+    CURRENCIES,
+    DEFAULT_CURRENCY,
+    MINOR_UNITS,
+    parsePriceText,
+    buildPricing,
+    isSaleActive,
+    formatAmount,
+    presentPrice
+};
@@ -0,0 +1,90 @@
+/**
+ * NK Solar Tech - Drafts and Scheduled Publishing
+ *
+ * Products and courses carry:
+ *
+ *   status        draft | published | archived
+ *   publishAt     optional ISO time; a published record goes live then
+ *   previewToken  secret that lets a draft be viewed before it is live
+ *
+ * Records from before publishing existed have no status and count as
+ * published, so nothing disappears from the site on upgrade.
+ */
+
+const crypto = require('crypto');
+
+const PUBLISH_STATUSES = ['draft', 'published', 'archived'];
+const DEFAULT_STATUS = 'published';
+
+const HIDDEN_STATUSES = PUBLISH_STATUSES.filter(status => status !== 'published');
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const newPreviewToken = () => crypto.randomBytes(16).toString('hex');
+
+// Status and publish time from a form. API clients that don't send a
+// status keep publishing straight away, as before. Returns { changes } or
+// { error }.
+function buildPublishing(input, existing = null) {
+    const changes = {};
+
+    if (input.status !== undefined) {
+        if (!PUBLISH_STATUSES.includes(input.status)) {
+            return { error: `Status must be one of: ${PUBLISH_STATUSES.join(', ')}` };
+        }
+        changes.status = input.status;
+    }
+
+    if (input.publishAt !== undefined) {
+        if (isBlank(input.publishAt)) changes.publishAt = null;
+        else if (Number.isNaN(Date.parse(input.publishAt))) return { error: 'Publish time must be a valid date' };
+        else changes.publishAt = new Date(input.publishAt).toISOString();
+    }
+
+    if (!existing) {
+        changes.status = changes.status || DEFAULT_STATUS;
+        changes.publishAt = changes.publishAt || null;
+        changes.previewToken = newPreviewToken();
+    }
+    return { changes };
+}
+
+// Whether the public can see a record right now
+function isLive(record, now = new Date()) {
+    if ((record.status || DEFAULT_STATUS) !== 'published') return false;
+    return !record.publishAt || new Date(record.publishAt) <= now;
+}
+
+// query() options that keep only live records
+const liveQuery = (now = new Date()) => ({
+    exclude: { status: HIDDEN_STATUSES },
+    notAfter: { publishAt: now.toISOString() }
+});
+
+// query() options for a dashboard status filter; "published" includes
+// records that predate the status field
+const statusQuery = (status) => (status === 'published'
+    ? { exclude: { status: HIDDEN_STATUSES } }
+    : { filter: { status } });
+
+// A draft can be viewed with its preview token
+function canPreview(record, token) {
+    if (!token || !record.previewToken) return false;
+    const given = Buffer.from(String(token));
+    const expected = Buffer.from(record.previewToken);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Public responses never reveal the preview token
+const withoutPreviewToken = ({ previewToken, ...record }) => record;
+
+module.exports = {
+    PUBLISH_STATUSES,
+    newPreviewToken,
+    buildPublishing,
+    isLive,
+    liveQuery,
+    statusQuery,
+    canPreview,
+    withoutPreviewToken
+};
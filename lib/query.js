@@ -0,0 +1,58 @@
+/**
+ * NK Solar Tech - List Query Parameters
+ *
+ * Turns the query string of a public list endpoint into repository
+ * query() options:
+ *
+ *   ?q=lithium battery   full-text search over title and description
+ *   &sort=title          any of the collection's sortable fields
+ *   &order=asc           asc | desc (default desc)
+ *   &limit=20&offset=40  page size (max 100) and records to skip
+ *
+ * Requests without any of these keep getting the plain array the
+ * endpoints always returned; with them, the response becomes
+ * { items, total, limit, offset }.
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const LIST_PARAMS = ['q', 'sort', 'order', 'limit', 'offset'];
+
+// Parse a non-negative integer parameter, or return NaN
+const toCount = (value) => (/^\d+$/.test(String(value)) ? Number(value) : NaN);
+
+// Returns { options, paged } or { error }
+function parseListQuery(query, { sortable }) {
+    const paged = LIST_PARAMS.some(param => query[param] !== undefined);
+    const options = { search: query.q, sort: 'createdAt', order: 'desc' };
+
+    if (query.sort !== undefined) {
+        if (!sortable.includes(query.sort)) {
+            return { error: `sort must be one of: ${sortable.join(', ')}` };
+        }
+        options.sort = query.sort;
+    }
+
+    if (query.order !== undefined) {
+        if (!['asc', 'desc'].includes(query.order)) return { error: 'order must be asc or desc' };
+        options.order = query.order;
+    }
+
+    if (paged) {
+        options.limit = query.limit === undefined ? DEFAULT_LIMIT : toCount(query.limit);
+        options.offset = query.offset === undefined ? 0 : toCount(query.offset);
+
+        if (!(options.limit >= 1 && options.limit <= MAX_LIMIT)) {
+            return { error: `limit must be between 1 and ${MAX_LIMIT}` };
+        }
+        if (Number.isNaN(options.offset)) return { error: 'offset must be a whole number' };
+    }
+
+    return { options, paged };
+}
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    parseListQuery
+};
@@ -0,0 +1,62 @@
+/**
+ * NK Solar Tech - Revision History
+ *
+ * Every change to a product or course stores the record as it is
+ * afterwards:
+ *
+ *   { id, type, recordId, version, snapshot, fields, note, userId, username, createdAt }
+ *
+ * version counts up from 1 per record; fields lists what changed since
+ * the previous version. A rollback copies an old snapshot back onto the
+ * record and is stored as a new version, so history only ever grows.
+ */
+
+const { diffRecords } = require('./audit');
+
+// Bookkeeping, fields with their own history (stock movements), counts
+// derived from other records (a course's approved comments) and secrets
+// are not versioned
+const UNVERSIONED_FIELDS = ['id', 'createdAt', 'updatedAt', 'previewToken', 'stockQuantity', 'comments'];
+
+// A replaced image is deleted from storage, so a rollback keeps the
+// current one
+const KEPT_ON_ROLLBACK = ['image'];
+
+const snapshotOf = (record) => Object.fromEntries(
+    Object.entries(record).filter(([field]) => !UNVERSIONED_FIELDS.includes(field))
+);
+
+// The revision that follows `previous` (null for the first one)
+function buildRevision(type, record, previous, user, note = '') {
+    const snapshot = snapshotOf(record);
+    return {
+        type,
+        recordId: record.id,
+        version: previous ? previous.version + 1 : 1,
+        snapshot,
+        fields: Object.keys(diffRecords(previous ? previous.snapshot : null, snapshot)),
+        note,
+        userId: (user && user.id) || null,
+        username: (user && user.username) || null
+    };
+}
+
+// Changes that put a record back the way the revision saw it. Fields
+// the snapshot doesn't have (added to the schema later) keep their
+// current values.
+function rollbackChanges(revision) {
+    // Older snapshots may still hold fields that are no longer versioned
+    const changes = snapshotOf(revision.snapshot);
+    KEPT_ON_ROLLBACK.forEach(field => delete changes[field]);
+    return changes;
+}
+
+// Revision lists leave out the snapshots
+const presentRevision = ({ snapshot, ...revision }) => revision;
+
+module.exports = {
+    snapshotOf,
+    buildRevision,
+    rollbackChanges,
+    presentRevision
+};
@@ -0,0 +1,153 @@
+/**
+ * NK Solar Tech - Request Schemas
+ *
+ * What each write route accepts, in the format described in
+ * lib/validation.js. Fields not listed here are dropped before the
+ * route sees the request. Checks that need the database (unique slugs,
+ * existing categories, ...) stay in the routes and lib/ builders.
+ */
+
+const { CURRENCIES } = require('./pricing');
+const { PUBLISH_STATUSES } = require('./publishing');
+const { ROLES } = require('./permissions');
+const { COMMENT_STATUSES } = require('./comments');
+const { ENQUIRY_TYPES, ENQUIRY_STATUSES } = require('./enquiries');
+const { MAX_API_KEY_DAYS } = require('./tokens');
+
+const publishing = {
+    status: { oneOf: PUBLISH_STATUSES },
+    publishAt: { type: 'date', label: 'Go live time' }
+};
+
+const product = {
+    title: { required: true, maxLength: 200 },
+    description: { maxLength: 5000 },
+    image: { type: 'url', relative: true },
+    whatsappLink: { type: 'url', label: 'WhatsApp link' },
+    price: { maxLength: 100 },
+    priceAmount: { type: 'integer', min: 0, label: 'Price' },
+    currency: { oneOf: CURRENCIES },
+    saleAmount: { type: 'integer', min: 0, label: 'Sale price' },
+    saleStartsAt: { type: 'date', label: 'Sale start' },
+    saleEndsAt: { type: 'date', label: 'Sale end' },
+    priceOnRequest: { type: 'boolean', label: 'Price on request' },
+    categoryId: { maxLength: 64, label: 'Category' },
+    tags: { type: 'list', maxLength: 20 },
+    stockQuantity: { type: 'integer', min: 0, label: 'Stock quantity' },
+    lowStockThreshold: { type: 'integer', min: 0, label: 'Low stock threshold' },
+    allowPreorder: { type: 'boolean', label: 'Allow preorder' },
+    specs: { type: 'json', label: 'Technical specs' },
+    ...publishing
+};
+
+const course = {
+    title: { required: true, maxLength: 200 },
+    description: { maxLength: 5000 },
+    content: { maxLength: 50000 },
+    date: { maxLength: 50 },
+    image: { type: 'url', relative: true },
+    ...publishing
+};
+
+const lesson = {
+    title: { required: true, maxLength: 200 },
+    body: { maxLength: 50000 },
+    video: { maxLength: 300 },
+    duration: { type: 'integer', min: 0, label: 'Duration (minutes)' },
+    position: { type: 'integer', min: 0 }
+};
+
+const lessonOrder = {
+    order: { type: 'array', required: true }
+};
+
+const category = {
+    name: { required: true, maxLength: 80 },
+    slug: { maxLength: 80 },
+    description: { maxLength: 500 },
+    parentId: { maxLength: 64, label: 'Parent category' },
+    order: { type: 'integer', label: 'Display order' }
+};
+
+const stockAdjustment = {
+    change: { type: 'integer' },
+    quantity: { type: 'integer', min: 0 },
+    reason: { required: true, maxLength: 200 }
+};
+
+const newUser = {
+    username: { required: true, maxLength: 50, pattern: /^[\w.-]+$/, message: 'Username may only contain letters, numbers, dots, dashes and underscores' },
+    password: { required: true },
+    name: { maxLength: 100 },
+    role: { oneOf: ROLES }
+};
+
+const userUpdate = {
+    name: { maxLength: 100 },
+    role: { oneOf: ROLES },
+    disabled: { type: 'boolean' }
+};
+
+// Public forms keep the honeypot field so spam is still recognised
+const comment = {
+    name: { required: true, maxLength: 80 },
+    message: { required: true, maxLength: 2000 },
+    website: {}
+};
+
+const commentModeration = {
+    status: { required: true, oneOf: COMMENT_STATUSES }
+};
+
+const enquiry = {
+    type: { oneOf: ENQUIRY_TYPES },
+    name: { required: true, maxLength: 80 },
+    phone: { required: true, maxLength: 30 },
+    location: { maxLength: 120 },
+    message: { maxLength: 2000 },
+    productIds: { type: 'list', maxLength: 20, label: 'Products' },
+    website: {}
+};
+
+const enquiryUpdate = {
+    status: { oneOf: ENQUIRY_STATUSES },
+    assignedTo: { maxLength: 64, label: 'Assigned user' }
+};
+
+const enquiryNote = {
+    text: { required: true, maxLength: 2000, label: 'Note' }
+};
+
+const apiKey = {
+    name: { required: true, maxLength: 80 },
+    scopes: { type: 'array', required: true, minLength: 1 },
+    expiresInDays: { type: 'integer', min: 1, max: MAX_API_KEY_DAYS, label: 'Expires in (days)' }
+};
+
+const settings = {
+    businessName: { maxLength: 100 },
+    whatsappNumber: { maxLength: 30, label: 'WhatsApp number' },
+    contactEmail: { maxLength: 200 },
+    messageTemplates: { type: 'object' },
+    allowedOrigins: { type: 'list' },
+    socialLinks: { type: 'object' },
+    trashRetentionDays: { type: 'integer', min: 1, max: 365, label: 'Trash retention' }
+};
+
+module.exports = {
+    product,
+    course,
+    lesson,
+    lessonOrder,
+    category,
+    stockAdjustment,
+    newUser,
+    userUpdate,
+    comment,
+    commentModeration,
+    enquiry,
+    enquiryUpdate,
+    enquiryNote,
+    apiKey,
+    settings
+};
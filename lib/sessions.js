@@ -0,0 +1,125 @@
+/**
+ * NK Solar Tech - Session Store
+ *
+ * Keeps express-session sessions in the sessions collection (data/
+ * sessions.json, or the sessions table in Supabase), so logins survive a
+ * restart:
+ *
+ *   { id, userId, data, expiresAt, lastSeenAt, createdAt }
+ *
+ * id is the session id from the cookie and data the session itself,
+ * which also records the ip, userAgent and loginAt of the login.
+ * Expired sessions are ignored when read and removed by clearExpired().
+ */
+
+const session = require('express-session');
+
+// How often a session in use has its expiry and last-seen time saved;
+// writing on every request would rewrite the file for each click
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+const DEFAULT_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+const expiryOf = (sess) => new Date(sess.cookie && sess.cookie.expires
+    ? sess.cookie.expires
+    : Date.now() + DEFAULT_MAX_AGE_MS).toISOString();
+
+const isExpired = (record, now = new Date()) => new Date(record.expiresAt) <= now;
+
+// Run `promise` for an express-session callback, which may be missing
+const respond = (promise, callback) => promise.then(
+    result => callback && callback(null, result),
+    err => callback && callback(err)
+);
+
+function createSessionStore(repo) {
+    // Session id -> when it was last saved, to space out touches
+    const lastSaved = new Map();
+
+    const save = async (sid, sess) => {
+        const now = new Date().toISOString();
+        await repo.upsertMany([{
+            id: sid,
+            userId: sess.userId || null,
+            data: JSON.parse(JSON.stringify(sess)),
+            expiresAt: expiryOf(sess),
+            lastSeenAt: now,
+            createdAt: sess.loginAt || now
+        }]);
+        lastSaved.set(sid, Date.now());
+    };
+
+    const destroy = async (sid) => {
+        lastSaved.delete(sid);
+        await repo.delete(sid);
+    };
+
+    return Object.assign(new session.Store(), {
+        get(sid, callback) {
+            respond((async () => {
+                const record = await repo.get(sid);
+                if (!record) return null;
+                if (isExpired(record)) {
+                    await destroy(sid);
+                    return null;
+                }
+                return record.data;
+            })(), callback);
+        },
+
+        set(sid, sess, callback) {
+            respond(save(sid, sess), callback);
+        },
+
+        touch(sid, sess, callback) {
+            if (Date.now() - (lastSaved.get(sid) || 0) < TOUCH_INTERVAL_MS) return callback && callback();
+            respond((async () => {
+                await repo.update(sid, { expiresAt: expiryOf(sess), lastSeenAt: new Date().toISOString() });
+                lastSaved.set(sid, Date.now());
+            })(), callback);
+        },
+
+        destroy(sid, callback) {
+            respond(destroy(sid), callback);
+        },
+
+        // A user's unexpired sessions, most recently used first
+        async listForUser(userId) {
+            const records = await repo.findMany({ userId });
+            return records
+                .filter(record => !isExpired(record))
+                .sort((a, b) => String(b.lastSeenAt).localeCompare(String(a.lastSeenAt)));
+        },
+
+        // End all of a user's sessions except `keepSid`; returns how many
+        async destroyOthers(userId, keepSid = null) {
+            const others = (await repo.findMany({ userId })).filter(record => record.id !== keepSid);
+            for (const record of others) await destroy(record.id);
+            return others.length;
+        },
+
+        // Remove expired sessions; returns how many
+        async clearExpired(now = new Date()) {
+            const expired = (await repo.list()).filter(record => isExpired(record, now));
+            for (const record of expired) await destroy(record.id);
+            return expired.length;
+        }
+    });
+}
+
+// What the session list shows; the session id itself is the login secret
+// and never leaves the server
+const presentSession = (record, currentSid) => ({
+    current: record.id === currentSid,
+    type: 'cookie',
+    ip: record.data.ip || null,
+    userAgent: record.data.userAgent || '',
+    createdAt: record.createdAt,
+    lastSeenAt: record.lastSeenAt,
+    expiresAt: record.expiresAt
+});
+
+module.exports = {
+    createSessionStore,
+    presentSession
+};
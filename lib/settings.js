@@ -0,0 +1,149 @@
+/**
+ * NK Solar Tech - Site Settings
+ *
+ * Business details the dashboard can change without a redeploy:
+ *
+ *   businessName      shown to customers and used as {business}
+ *   whatsappNumber    international format without +, e.g. 2349131240760
+ *   contactEmail
+ *   messageTemplates  { product, enquiry } WhatsApp message texts
+ *   allowedOrigins    extra sites allowed to call the API (CORS), exact
+ *                     or *.wildcard (see lib/origins.js)
+ *   socialLinks       { facebook, instagram, x, youtube, tiktok }
+ *   trashRetentionDays  days a deleted product or course stays restorable
+ *
+ * Stored as a single record in the settings collection; anything not
+ * saved yet falls back to DEFAULT_SETTINGS.
+ *
+ * Template placeholders:
+ *
+ *   product   {business} {title} {price}
+ *   enquiry   {business} {request}  (details are appended below it)
+ */
+
+const { DEFAULT_RETENTION_DAYS, MAX_RETENTION_DAYS } = require('./trash');
+const { normalizeOrigin, isOriginPattern } = require('./origins');
+
+const DEFAULT_SETTINGS = {
+    businessName: 'NK Solar',
+    whatsappNumber: '2349131240760',
+    contactEmail: '',
+    messageTemplates: {
+        product: 'Hello {business}, I want to buy {title}',
+        enquiry: "Hello {business}, I'd like {request}."
+    },
+    allowedOrigins: [],
+    socialLinks: { facebook: '', instagram: '', x: '', youtube: '', tiktok: '' },
+    trashRetentionDays: DEFAULT_RETENTION_DAYS
+};
+
+const TEMPLATE_NAMES = Object.keys(DEFAULT_SETTINGS.messageTemplates);
+const SOCIAL_NETWORKS = Object.keys(DEFAULT_SETTINGS.socialLinks);
+
+const MAX_TEMPLATE_LENGTH = 500;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const URL_PATTERN = /^https?:\/\/\S+$/i;
+
+const toList = (value) => (Array.isArray(value) ? value : String(value || '').split(/[\n,]/))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+
+// Stored settings over the defaults, one level deep for the nested groups
+function withDefaults(stored = {}) {
+    return {
+        ...DEFAULT_SETTINGS,
+        ...stored,
+        messageTemplates: { ...DEFAULT_SETTINGS.messageTemplates, ...(stored.messageTemplates || {}) },
+        socialLinks: { ...DEFAULT_SETTINGS.socialLinks, ...(stored.socialLinks || {}) }
+    };
+}
+
+// Validate changes on top of the current settings.
+// Returns { settings } (the full, updated settings) or { error }.
+function buildSettings(input, current) {
+    const settings = withDefaults(current);
+
+    if (input.businessName !== undefined) settings.businessName = String(input.businessName).trim();
+    if (input.contactEmail !== undefined) settings.contactEmail = String(input.contactEmail).trim();
+    if (input.whatsappNumber !== undefined) settings.whatsappNumber = String(input.whatsappNumber).replace(/[\s\-+()]/g, '');
+    if (input.allowedOrigins !== undefined) {
+        settings.allowedOrigins = [...new Set(toList(input.allowedOrigins).map(normalizeOrigin))];
+    }
+    if (input.trashRetentionDays !== undefined) settings.trashRetentionDays = Number(input.trashRetentionDays);
+
+    for (const name of TEMPLATE_NAMES) {
+        const template = input.messageTemplates && input.messageTemplates[name];
+        if (template !== undefined) settings.messageTemplates[name] = String(template).trim();
+    }
+    for (const network of SOCIAL_NETWORKS) {
+        const link = input.socialLinks && input.socialLinks[network];
+        if (link !== undefined) settings.socialLinks[network] = String(link).trim();
+    }
+
+    if (!settings.businessName) return { error: 'Business name is required' };
+    if (!/^\d{7,15}$/.test(settings.whatsappNumber)) {
+        return { error: 'WhatsApp number must be 7-15 digits in international format, e.g. 2349131240760' };
+    }
+    if (settings.contactEmail && !EMAIL_PATTERN.test(settings.contactEmail)) return { error: 'Contact email is not valid' };
+
+    for (const name of TEMPLATE_NAMES) {
+        const template = settings.messageTemplates[name];
+        if (!template) return { error: `The ${name} message template is required` };
+        if (template.length > MAX_TEMPLATE_LENGTH) {
+            return { error: `The ${name} message template must be at most ${MAX_TEMPLATE_LENGTH} characters` };
+        }
+    }
+
+    const days = settings.trashRetentionDays;
+    if (!(Number.isInteger(days) && days >= 1 && days <= MAX_RETENTION_DAYS)) {
+        return { error: `Trash retention must be a whole number of days between 1 and ${MAX_RETENTION_DAYS}` };
+    }
+
+    const badOrigin = settings.allowedOrigins.find(origin => !isOriginPattern(origin));
+    if (badOrigin) return { error: `"${badOrigin}" is not an origin like https://example.com or https://*.example.com` };
+
+    const badLink = SOCIAL_NETWORKS.find(network => settings.socialLinks[network] && !URL_PATTERN.test(settings.socialLinks[network]));
+    if (badLink) return { error: `The ${badLink} link must start with http:// or https://` };
+
+    return { settings };
+}
+
+// Replace {placeholders}; unknown ones are left as they are and empty
+// values don't leave double spaces behind
+function fillTemplate(template, values) {
+    return template
+        .replace(/\{(\w+)\}/g, (match, key) => (values[key] === undefined ? match : String(values[key] ?? '')))
+        .replace(/[ \t]{2,}/g, ' ')
+        .trim();
+}
+
+// Click-to-chat link that opens WhatsApp with `text` ready to send
+const whatsappUrl = (settings, text) => `https://wa.me/${settings.whatsappNumber}?text=${encodeURIComponent(text)}`;
+
+// Whether a stored product link is one we generated (and may regenerate)
+const isGeneratedLink = (link) => !link || /^https:\/\/wa\.me\//.test(link);
+
+// Link for a product; `product` should already carry its display price
+function productWhatsappLink(settings, product) {
+    return whatsappUrl(settings, fillTemplate(settings.messageTemplates.product, {
+        business: settings.businessName,
+        title: product.title,
+        price: product.price || ''
+    }));
+}
+
+// What the public site may read
+const publicSettings = ({ businessName, whatsappNumber, contactEmail, socialLinks }) =>
+    ({ businessName, whatsappNumber, contactEmail, socialLinks });
+
+module.exports = {
+    DEFAULT_SETTINGS,
+    withDefaults,
+    buildSettings,
+    fillTemplate,
+    whatsappUrl,
+    isGeneratedLink,
+    productWhatsappLink,
+    publicSettings
+};
@@ -0,0 +1,248 @@
+/**
+ * NK Solar Tech - Solar System Sizing
+ *
+ * Turns "what do I want to run" into a system and a shopping list.
+ * Products take part through their technical specs:
+ *
+ *   specs: { type, watts, voltage, ampHours, kva }
+ *
+ *   panel     watts (rated output)
+ *   inverter  kva and/or watts (continuous output), voltage (DC bus)
+ *   battery   voltage and ampHours
+ *
+ * The sizing itself uses common rules of thumb, not a full design; the
+ * result is a starting point for a quote.
+ */
+
+const SPEC_TYPES = ['panel', 'inverter', 'battery'];
+const SPEC_FIELDS = ['watts', 'voltage', 'ampHours', 'kva'];
+
+const MAX_APPLIANCES = 50;
+
+const INVERTER_HEADROOM = 1.25;       // margin over the peak load
+const POWER_FACTOR = 0.8;             // watts per VA for typical inverters
+const INVERTER_EFFICIENCY = 0.9;
+const SYSTEM_LOSSES = 0.75;           // panel output actually reaching the batteries
+const DEFAULT_DEPTH_OF_DISCHARGE = 0.8;
+const DEFAULT_PANEL_WATTS = 300;      // for the panel count when no panel is in the catalog
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+const toNumber = (value) => (isBlank(value) ? null : Number.isFinite(Number(value)) ? Number(value) : NaN);
+const roundUp = (value, step) => Math.ceil(value / step - 1e-9) * step;
+
+// ========================================================================
+// PRODUCT SPECS
+// ========================================================================
+
+// Specs from a product form, sent as an object or a JSON string.
+// Returns { changes } or { error }.
+function buildSpecs(input, existing = null) {
+    if (input.specs === undefined) return { changes: existing ? {} : { specs: {} } };
+
+    let raw = input.specs;
+    if (typeof raw === 'string') {
+        try {
+            raw = raw.trim() ? JSON.parse(raw) : {};
+        } catch (err) {
+            return { error: 'specs must be valid JSON' };
+        }
+    }
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { error: 'specs must be an object' };
+
+    const specs = {};
+    if (!isBlank(raw.type)) {
+        if (!SPEC_TYPES.includes(raw.type)) return { error: `Spec type must be one of: ${SPEC_TYPES.join(', ')}` };
+        specs.type = raw.type;
+    }
+    for (const field of SPEC_FIELDS) {
+        const value = toNumber(raw[field]);
+        if (value === null) continue;
+        if (!(value > 0)) return { error: `Spec ${field} must be a positive number` };
+        specs[field] = value;
+    }
+
+    return { changes: { specs } };
+}
+
+// ========================================================================
+// SIZING
+// ========================================================================
+
+// Validate a sizing request. Returns { request } or { error }.
+function checkSizingRequest(body) {
+    const appliances = Array.isArray(body.appliances) ? body.appliances : [];
+    if (appliances.length === 0) return { error: 'Add at least one appliance' };
+    if (appliances.length > MAX_APPLIANCES) return { error: `Add no more than ${MAX_APPLIANCES} appliances` };
+
+    const checked = [];
+    for (const [index, appliance] of appliances.entries()) {
+        const label = String((appliance && appliance.name) || `Appliance ${index + 1}`).trim().slice(0, 80);
+        const watts = toNumber(appliance && appliance.watts);
+        const quantity = isBlank(appliance && appliance.quantity) ? 1 : toNumber(appliance.quantity);
+        const hours = toNumber(appliance && appliance.hours);
+
+        if (!(watts > 0 && watts <= 100000)) return { error: `${label}: watts must be between 1 and 100000` };
+        if (!(Number.isInteger(quantity) && quantity >= 1 && quantity <= 1000)) {
+            return { error: `${label}: quantity must be a whole number between 1 and 1000` };
+        }
+        if (!(hours >= 0 && hours <= 24)) return { error: `${label}: hours per day must be between 0 and 24` };
+
+        checked.push({ name: label, watts, quantity, hours });
+    }
+
+    const autonomyDays = isBlank(body.autonomyDays) ? 1 : toNumber(body.autonomyDays);
+    const peakSunHours = isBlank(body.peakSunHours) ? 5 : toNumber(body.peakSunHours);
+    const depthOfDischarge = isBlank(body.depthOfDischarge) ? DEFAULT_DEPTH_OF_DISCHARGE : toNumber(body.depthOfDischarge);
+
+    if (!(autonomyDays > 0 && autonomyDays <= 7)) return { error: 'autonomyDays must be more than 0 and at most 7' };
+    if (!(peakSunHours >= 1 && peakSunHours <= 12)) return { error: 'peakSunHours must be between 1 and 12' };
+    if (!(depthOfDischarge > 0 && depthOfDischarge <= 1)) return { error: 'depthOfDischarge must be more than 0 and at most 1' };
+
+    return { request: { appliances: checked, autonomyDays, peakSunHours, depthOfDischarge } };
+}
+
+// DC bus voltage for a load: small systems run on 12V, big ones on 48V
+const systemVoltageFor = (peakLoadW) => (peakLoadW <= 1000 ? 12 : peakLoadW <= 3000 ? 24 : 48);
+
+// What the system needs, before looking at products
+function sizeSystem({ appliances, autonomyDays, peakSunHours, depthOfDischarge }, systemVoltage = null) {
+    const dailyEnergyWh = appliances.reduce((sum, a) => sum + a.watts * a.quantity * a.hours, 0);
+    const peakLoadW = appliances.reduce((sum, a) => sum + a.watts * a.quantity, 0);
+    const inverterW = peakLoadW * INVERTER_HEADROOM;
+    const voltage = systemVoltage || systemVoltageFor(peakLoadW);
+    const batteryBankWh = dailyEnergyWh * autonomyDays / depthOfDischarge / INVERTER_EFFICIENCY;
+    const solarArrayW = dailyEnergyWh / (peakSunHours * SYSTEM_LOSSES);
+
+    return {
+        dailyEnergyWh: Math.round(dailyEnergyWh),
+        peakLoadW: Math.round(peakLoadW),
+        inverterW: Math.round(inverterW),
+        inverterKva: roundUp(inverterW / POWER_FACTOR / 1000, 0.5),
+        systemVoltage: voltage,
+        batteryBankWh: Math.round(batteryBankWh),
+        batteryBankAh: Math.ceil(batteryBankWh / voltage),
+        solarArrayW: Math.round(solarArrayW),
+        panelCount: Math.ceil(solarArrayW / DEFAULT_PANEL_WATTS - 1e-9)
+    };
+}
+
+// ========================================================================
+// RECOMMENDATIONS
+// ========================================================================
+
+// Cheapest total first, then fewest units; unpriced options come last
+const byCost = (a, b) => {
+    const costA = a.product.currentAmount === null ? Infinity : a.product.currentAmount * a.quantity;
+    const costB = b.product.currentAmount === null ? Infinity : b.product.currentAmount * b.quantity;
+    return costA - costB || a.quantity - b.quantity;
+};
+
+const ofType = (products, type) => products.filter(p => p.specs && p.specs.type === type && p.availability !== 'out_of_stock');
+
+const inverterWatts = (specs) => specs.watts || (specs.kva ? specs.kva * 1000 * POWER_FACTOR : 0);
+
+function pickInverter(products, needs) {
+    return ofType(products, 'inverter')
+        .filter(p => inverterWatts(p.specs) >= needs.inverterW)
+        .map(product => ({ product, quantity: 1 }))
+        .sort(byCost)[0] || null;
+}
+
+// Batteries in series to reach the bus voltage, strings in parallel to
+// reach the capacity
+function pickBatteries(products, needs) {
+    return ofType(products, 'battery')
+        .filter(p => p.specs.voltage && p.specs.ampHours && needs.systemVoltage % p.specs.voltage === 0)
+        .map(product => {
+            const series = needs.systemVoltage / product.specs.voltage;
+            const strings = Math.ceil(needs.batteryBankAh / product.specs.ampHours - 1e-9);
+            return { product, quantity: series * strings };
+        })
+        .sort(byCost)[0] || null;
+}
+
+function pickPanels(products, needs) {
+    return ofType(products, 'panel')
+        .filter(p => p.specs.watts)
+        .map(product => ({ product, quantity: Math.max(1, Math.ceil(needs.solarArrayW / product.specs.watts - 1e-9)) }))
+        .sort(byCost)[0] || null;
+}
+
+// Size the system and fill it from the catalog. `products` must already
+// carry their display price and availability. Returns { requirements,
+// billOfMaterials, totalAmount, currency, missing }.
+function recommendSystem(request, products) {
+    let requirements = sizeSystem(request);
+
+    // The inverter decides the battery voltage when its spec says so
+    const inverter = pickInverter(products, requirements);
+    if (inverter && inverter.product.specs.voltage) {
+        requirements = sizeSystem(request, inverter.product.specs.voltage);
+    }
+
+    const batteries = pickBatteries(products, requirements);
+    const panels = pickPanels(products, requirements);
+    if (panels) requirements.panelCount = panels.quantity;
+
+    const picks = { inverter, battery: batteries, panel: panels };
+    const billOfMaterials = Object.entries(picks)
+        .filter(([, pick]) => pick)
+        .map(([role, { product, quantity }]) => ({
+            role,
+            productId: product.id,
+            title: product.title,
+            quantity,
+            unitAmount: product.currentAmount,
+            totalAmount: product.currentAmount === null ? null : product.currentAmount * quantity,
+            currency: product.currency,
+            price: product.price
+        }));
+
+    const currencies = [...new Set(billOfMaterials.map(item => item.currency))];
+    const complete = billOfMaterials.every(item => item.totalAmount !== null) && currencies.length <= 1;
+
+    return {
+        requirements,
+        billOfMaterials,
+        totalAmount: complete && billOfMaterials.length > 0 ? billOfMaterials.reduce((sum, item) => sum + item.totalAmount, 0) : null,
+        currency: currencies.length === 1 ? currencies[0] : null,
+        missing: Object.keys(picks).filter(role => !picks[role])
+    };
+}
+
+// "2 x Fan (60W, 8h/day), ..." for as many appliances as fit in `room`
+// characters, then "and N more"
+function applianceList(appliances, room) {
+    const items = appliances.map(a => `${a.quantity} x ${a.name} (${a.watts}W, ${a.hours}h/day)`);
+    for (let shown = items.length; shown > 0; shown--) {
+        const more = items.length - shown;
+        const text = items.slice(0, shown).join(', ') + (more > 0 ? ` and ${more} more` : '');
+        if (text.length <= room) return text;
+    }
+    return `${items.length} appliance(s)`;
+}
+
+// Plain-text summary for a WhatsApp message or enquiry, at most
+// `maxLength` characters. The appliances are cut short first, as the
+// figures and materials matter more for a quote.
+function sizingSummary({ requirements, billOfMaterials }, request, maxLength = Infinity) {
+    const rest = [
+        `Daily energy: ${(requirements.dailyEnergyWh / 1000).toFixed(1)} kWh, backup: ${request.autonomyDays} day(s)`,
+        `Suggested: ${requirements.inverterKva} kVA inverter, ${requirements.batteryBankAh}Ah @ ${requirements.systemVoltage}V batteries, ${requirements.panelCount} panels`,
+        ...billOfMaterials.map(item => `- ${item.quantity} x ${item.title}`)
+    ].join('\n');
+
+    const label = 'Appliances: ';
+    const room = maxLength - rest.length - label.length - 1;
+    const summary = `${label}${applianceList(request.appliances, room)}\n${rest}`;
+    return summary.length <= maxLength ? summary : `${summary.slice(0, maxLength - 1)}…`;
+}
+
+module.exports = {
+    SPEC_TYPES,
+    buildSpecs,
+    checkSizingRequest,
+    sizeSystem,
+    recommendSystem,
+    sizingSummary
+};
@@ -0,0 +1,415 @@
+/**
+ * NK Solar Tech - Storage Layer
+ *
+ * Every collection is exposed through the same repository interface,
+ * backed either by the local JSON files in data/ or by Supabase:
+ *
+ *   list()                -> all records
+ *   get(id)               -> one record, or null
+ *   findOne(field, value) -> first record where field === value, or null
+ *   findMany(filter)      -> records whose fields equal every filter value
+ *   query(options)        -> { items, total } for one page of a search
+ *   create(record)        -> the stored record
+ *   update(id, changes)   -> the updated record, or null if not found
+ *   delete(id)            -> the deleted record, or null if not found
+ *   upsertMany(records)   -> adds or replaces records by id, as they are
+ *                            (for copying between backends, see sync-data.js)
+ *
+ * Records always come back camelCase (whatsappLink, createdAt, ...) no
+ * matter which backend stored them. Supabase columns are snake_case.
+ *
+ * query() options, all optional:
+ *
+ *   search  - words that must each appear in one of the searchable fields
+ *   filter  - { field: value } equality filters, like findMany(); an
+ *             array value matches any of its values
+ *   has     - { field: [values] } for array fields that must contain
+ *             every one of the values (e.g. product tags)
+ *   exclude - { field: [values] } leaves out records whose field is one
+ *             of the values; records without the field are kept
+ *   notAfter - { field: isoTime } leaves out records whose timestamp is
+ *             later; records without the field are kept
+ *   sort    - field name (default createdAt); order: 'asc' | 'desc'
+ *   limit   - page size (default: everything); offset - records to skip
+ *
+ * Both backends list newest first unless told otherwise.
+ *
+ * The JSON backend keeps each file in memory and reloads it when the
+ * file changes on disk. Writes to a collection run one at a time, go to
+ * a temp file that is renamed over the old one, and keep the previous
+ * version as <file>.bak. A file that won't parse is restored from that
+ * backup (the damaged copy is kept as <file>.corrupt-<time>); with no
+ * usable backup every request fails instead of treating it as empty.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const COLLECTIONS = {
+    products: {
+        file: 'products.json', table: 'products', idPrefix: 'prod',
+        searchable: ['title', 'description'],
+        sortable: ['createdAt', 'updatedAt', 'title', 'priceAmount']
+    },
+    courses: {
+        file: 'courses.json', table: 'courses', idPrefix: 'course',
+        searchable: ['title', 'description'],
+        sortable: ['createdAt', 'updatedAt', 'title', 'comments']
+    },
+    users: { file: 'users.json', table: 'users', idPrefix: 'user', searchable: ['username', 'name'], sortable: ['createdAt', 'username'] },
+    comments: { file: 'comments.json', table: 'comments', idPrefix: 'comment', searchable: ['name', 'message'], sortable: ['createdAt'] },
+    stockMovements: {
+        file: 'stock-movements.json', table: 'stock_movements', idPrefix: 'stock',
+        searchable: ['reason'],
+        sortable: ['createdAt']
+    },
+    enquiries: {
+        file: 'enquiries.json', table: 'enquiries', idPrefix: 'enq',
+        searchable: ['name', 'phone', 'location', 'message'],
+        sortable: ['createdAt', 'updatedAt', 'status']
+    },
+    auditLog: {
+        file: 'audit-log.json', table: 'audit_log', idPrefix: 'audit',
+        searchable: ['action', 'username', 'targetId'],
+        sortable: ['createdAt']
+    },
+    settings: { file: 'settings.json', table: 'settings', idPrefix: 'settings', searchable: [], sortable: ['createdAt'] },
+    revisions: {
+        file: 'revisions.json', table: 'revisions', idPrefix: 'rev',
+        searchable: ['note', 'username'],
+        sortable: ['createdAt', 'version']
+    },
+    trash: { file: 'trash.json', table: 'trash', idPrefix: 'trash', searchable: ['title', 'recordId'], sortable: ['createdAt', 'title'] },
+    sessions: { file: 'sessions.json', table: 'sessions', idPrefix: 'sess', searchable: [], sortable: ['createdAt', 'expiresAt'] },
+    refreshTokens: { file: 'refresh-tokens.json', table: 'refresh_tokens', idPrefix: 'rt', searchable: [], sortable: ['createdAt'] },
+    apiKeys: { file: 'api-keys.json', table: 'api_keys', idPrefix: 'key', searchable: ['name', 'username'], sortable: ['createdAt', 'name'] },
+    categories: {
+        file: 'categories.json', table: 'categories', idPrefix: 'cat',
+        searchable: ['name', 'slug'],
+        sortable: ['order', 'name', 'createdAt']
+    }
+};
+
+// ========================================================================
+// HELPERS
+// ========================================================================
+
+const toSnake = (key) => key.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`);
+const toCamel = (key) => key.replace(/_([a-z0-9])/g, (m, c) => c.toUpperCase());
+
+// Rename keys and drop undefined values, so a partial update never
+// clears a field the caller didn't send
+const mapKeys = (record, rename) => {
+    const mapped = {};
+    for (const [key, value] of Object.entries(record)) {
+        if (value !== undefined) mapped[rename(key)] = value;
+    }
+    return mapped;
+};
+
+const toRow = (record) => mapKeys(record, toSnake);
+const fromRow = (row) => (row ? mapKeys(row, toCamel) : null);
+const compact = (record) => mapKeys(record, key => key);
+
+const newId = (prefix) => `${prefix}-${uuidv4().substring(0, 8)}`;
+
+// Split a search string into lower-case words
+const searchTerms = (search) => String(search || '').toLowerCase().split(/\s+/).filter(Boolean);
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+// Order two present values: numbers numerically, text naturally
+const compareValues = (a, b) => {
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+};
+
+// Sort comparator for a field; missing values go last in either direction
+const sortBy = (field, order) => (a, b) => {
+    if (isMissing(a[field]) || isMissing(b[field])) return isMissing(a[field]) - isMissing(b[field]);
+    return (order === 'asc' ? 1 : -1) * compareValues(a[field], b[field]);
+};
+
+const byNewest = sortBy('createdAt', 'desc');
+
+// In-memory version of query()'s filter, has, exclude and notAfter options
+const matchesFilter = (record, filter, has, exclude = {}, notAfter = {}) =>
+    Object.entries(compact(filter)).every(([field, value]) =>
+        (Array.isArray(value) ? value.includes(record[field]) : record[field] === value)) &&
+    Object.entries(compact(has)).every(([field, values]) =>
+        values.every(value => (record[field] || []).includes(value))) &&
+    Object.entries(compact(exclude)).every(([field, values]) =>
+        isMissing(record[field]) || !values.includes(record[field])) &&
+    Object.entries(compact(notAfter)).every(([field, time]) =>
+        isMissing(record[field]) || new Date(record[field]) <= new Date(time));
+
+// ========================================================================
+// JSON FILE REPOSITORY
+// ========================================================================
+
+function createJsonRepository(dataDir, { file, idPrefix, searchable = [] }) {
+    const filePath = path.join(dataDir, file);
+    const backupPath = `${filePath}.bak`;
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    // Parsed records, and the size and mtime of the file they came from
+    let cache = null;
+    let cachedVersion = null;
+
+    // Tail of the write queue; each write starts after the previous one
+    let queue = Promise.resolve();
+
+    const versionOf = (stats) => `${stats.size}:${stats.mtimeMs}`;
+
+    const parse = (target) => {
+        const records = JSON.parse(fs.readFileSync(target, 'utf8'));
+        if (!Array.isArray(records)) throw new Error('expected a list of records');
+        return records;
+    };
+
+    // Put the backup back in place of a missing or damaged file
+    const recover = (problem) => {
+        let records;
+        try {
+            records = parse(backupPath);
+        } catch (err) {
+            console.error(`❌ data/${file} ${problem} and there is no usable backup`);
+            throw new Error(`data/${file} ${problem} and there is no usable backup; restore it by hand`);
+        }
+
+        if (fs.existsSync(filePath)) fs.copyFileSync(filePath, `${filePath}.corrupt-${Date.now()}`);
+        fs.copyFileSync(backupPath, tempPath);
+        fs.renameSync(tempPath, filePath);
+        console.error(`⚠️  data/${file} ${problem}; restored it from ${path.basename(backupPath)}`);
+        return records;
+    };
+
+    const load = () => {
+        if (!fs.existsSync(filePath)) {
+            // A new collection, unless an earlier version was backed up
+            if (fs.existsSync(backupPath)) return remember(recover('is missing'));
+            return [];
+        }
+
+        if (cache && cachedVersion === versionOf(fs.statSync(filePath))) return cache;
+
+        let records;
+        try {
+            records = parse(filePath);
+        } catch (err) {
+            records = recover(`could not be read (${err.message})`);
+        }
+        return remember(records);
+    };
+
+    const remember = (records) => {
+        cache = records;
+        cachedVersion = versionOf(fs.statSync(filePath));
+        return records;
+    };
+
+    // Callers get their own copy, so changing a record never touches the cache
+    const read = () => structuredClone(load());
+
+    const write = async (records) => {
+        const handle = await fs.promises.open(tempPath, 'w');
+        try {
+            await handle.writeFile(JSON.stringify(records, null, 2));
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+
+        if (fs.existsSync(filePath)) await fs.promises.copyFile(filePath, backupPath);
+        await fs.promises.rename(tempPath, filePath);
+        remember(records);
+    };
+
+    // Read-modify-write `change(records)` after every write queued before it
+    const exclusive = (change) => {
+        const run = queue.then(() => change(read()));
+        queue = run.catch(() => {});
+        return run;
+    };
+
+    return {
+        async list() {
+            return read().sort(byNewest);
+        },
+
+        async get(id) {
+            return read().find(r => r.id === id) || null;
+        },
+
+        async findOne(field, value) {
+            return read().find(r => r[field] === value) || null;
+        },
+
+        async findMany(filter) {
+            const entries = Object.entries(compact(filter));
+            // Newest first, as in Supabase
+            return read().filter(r => entries.every(([field, value]) => r[field] === value)).sort(byNewest);
+        },
+
+        async query({ search, filter = {}, has = {}, exclude = {}, notAfter = {}, sort = 'createdAt', order = 'desc', limit, offset = 0 } = {}) {
+            const terms = searchTerms(search);
+
+            const matches = read()
+                .filter(r => matchesFilter(r, filter, has, exclude, notAfter))
+                .filter(r => terms.every(term => searchable.some(field => String(r[field] || '').toLowerCase().includes(term))))
+                .sort(sortBy(sort, order));
+
+            const end = limit === undefined ? undefined : offset + limit;
+            return { items: matches.slice(offset, end), total: matches.length };
+        },
+
+        create(record) {
+            return exclusive(async (records) => {
+                const created = { id: newId(idPrefix), createdAt: new Date().toISOString(), ...compact(record) };
+                await write([...records, created]);
+                return structuredClone(created);
+            });
+        },
+
+        update(id, changes) {
+            return exclusive(async (records) => {
+                const index = records.findIndex(r => r.id === id);
+                if (index === -1) return null;
+
+                records[index] = { ...records[index], ...compact(changes), updatedAt: new Date().toISOString() };
+                await write(records);
+                return structuredClone(records[index]);
+            });
+        },
+
+        delete(id) {
+            return exclusive(async (records) => {
+                const record = records.find(r => r.id === id);
+                if (!record) return null;
+
+                await write(records.filter(r => r.id !== id));
+                return record;
+            });
+        },
+
+        upsertMany(incoming) {
+            return exclusive(async (records) => {
+                const byId = new Map(records.map(r => [r.id, r]));
+                for (const record of incoming) byId.set(record.id, compact(record));
+                await write([...byId.values()]);
+                return incoming.length;
+            });
+        }
+    };
+}
+
+// ========================================================================
+// SUPABASE REPOSITORY
+// ========================================================================
+
+function createSupabaseRepository(client, { table, idPrefix, searchable = [] }) {
+    // Unwrap a Supabase response, throwing its error if there is one
+    const run = async (query) => {
+        const { data, error } = await query;
+        if (error) throw error;
+        return data;
+    };
+
+    return {
+        async list() {
+            const rows = await run(client.from(table).select('*').order('created_at', { ascending: false }));
+            return (rows || []).map(fromRow);
+        },
+
+        async get(id) {
+            return fromRow(await run(client.from(table).select('*').eq('id', id).maybeSingle()));
+        },
+
+        async findOne(field, value) {
+            const rows = await run(client.from(table).select('*').eq(toSnake(field), value).limit(1));
+            return fromRow(rows && rows[0]);
+        },
+
+        async findMany(filter) {
+            const rows = await run(client.from(table).select('*').match(toRow(filter)).order('created_at', { ascending: false }));
+            return (rows || []).map(fromRow);
+        },
+
+        async query({ search, filter = {}, has = {}, exclude = {}, notAfter = {}, sort = 'createdAt', order = 'desc', limit, offset = 0 } = {}) {
+            let request = client.from(table).select('*', { count: 'exact' });
+
+            for (const [column, value] of Object.entries(toRow(filter))) {
+                request = Array.isArray(value) ? request.in(column, value) : request.eq(column, value);
+            }
+            for (const [column, values] of Object.entries(toRow(has))) {
+                request = request.contains(column, values);
+            }
+            for (const [column, values] of Object.entries(toRow(exclude))) {
+                request = request.or(`${column}.is.null,${column}.not.in.(${values.join(',')})`);
+            }
+            for (const [column, time] of Object.entries(toRow(notAfter))) {
+                request = request.or(`${column}.is.null,${column}.lte.${time}`);
+            }
+
+            // Each word must match somewhere; characters PostgREST treats
+            // as syntax inside or() are dropped from the word
+            for (const term of searchTerms(search)) {
+                const safe = term.replace(/[,()%*\\]/g, '');
+                if (safe) request = request.or(searchable.map(field => `${toSnake(field)}.ilike.%${safe}%`).join(','));
+            }
+
+            request = request.order(toSnake(sort), { ascending: order === 'asc', nullsFirst: false });
+            if (limit !== undefined) request = request.range(offset, offset + limit - 1);
+
+            const { data, error, count } = await request;
+            if (error) throw error;
+            return { items: (data || []).map(fromRow), total: count || 0 };
+        },
+
+        async create(record) {
+            const created = { id: newId(idPrefix), createdAt: new Date().toISOString(), ...compact(record) };
+            return fromRow(await run(client.from(table).insert([toRow(created)]).select().single()));
+        },
+
+        async update(id, changes) {
+            const row = toRow({ ...changes, updatedAt: new Date().toISOString() });
+            return fromRow(await run(client.from(table).update(row).eq('id', id).select().maybeSingle()));
+        },
+
+        async delete(id) {
+            return fromRow(await run(client.from(table).delete().eq('id', id).select().maybeSingle()));
+        },
+
+        // Columns a record doesn't have get their defaults, not null
+        async upsertMany(records) {
+            await run(client.from(table).upsert(records.map(toRow), { onConflict: 'id', defaultToNull: false }));
+            return records.length;
+        }
+    };
+}
+
+// ========================================================================
+// FACTORY
+// ========================================================================
+
+// Build one repository per collection for whichever backend is configured
+function createRepositories({ supabaseClient, dataDir }) {
+    const repositories = {};
+    for (const [name, config] of Object.entries(COLLECTIONS)) {
+        repositories[name] = supabaseClient
+            ? createSupabaseRepository(supabaseClient, config)
+            : createJsonRepository(dataDir, config);
+    }
+    return repositories;
+}
+
+module.exports = {
+    COLLECTIONS,
+    newId,
+    createRepositories,
+    createJsonRepository,
+    createSupabaseRepository,
+    toRow,
+    fromRow
+};
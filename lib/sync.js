@@ -0,0 +1,112 @@
+/**
+ * NK Solar Tech - Syncing Between Storage Backends
+ *
+ * sync-data.js copies every collection from one backend to the other
+ * (local JSON files <-> Supabase). Records are matched by id; each one
+ * in the source is either
+ *
+ *   added      not in the target yet
+ *   changed    in the target, with different values in some fields
+ *   unchanged  already the same
+ *
+ * Only added and changed records are written. Nothing is ever deleted
+ * from the target.
+ */
+
+// Collections in the order they are copied, so that records are written
+// after the ones they point at (products -> categories, comments ->
+// courses, ...). Login sessions and token logins belong to one server
+// and aren't copied; API keys are, so scripts keep working after a move.
+const SYNC_ORDER = [
+    'users',
+    'apiKeys',
+    'categories',
+    'products',
+    'stockMovements',
+    'courses',
+    'comments',
+    'enquiries',
+    'settings',
+    'auditLog',
+    'revisions',
+    'trash'
+];
+
+const DEFAULT_BATCH_SIZE = 100;
+
+const isEmpty = (value) => value === undefined || value === null;
+
+const isTimestamp = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value) && !Number.isNaN(Date.parse(value));
+
+// JSON with object keys sorted, so key order doesn't count as a change
+const canonical = (value) => JSON.stringify(value, (key, inner) => (
+    inner && typeof inner === 'object' && !Array.isArray(inner)
+        ? Object.fromEntries(Object.keys(inner).sort().map(k => [k, inner[k]]))
+        : inner
+));
+
+// Supabase hands timestamps back as "...+00:00" and JSON keeps "...Z",
+// so times are compared as times
+function sameValue(a, b) {
+    if (isEmpty(a) || isEmpty(b)) return isEmpty(a) && isEmpty(b);
+    if (isTimestamp(a) && isTimestamp(b)) return Date.parse(a) === Date.parse(b);
+    if (typeof a === 'object' || typeof b === 'object') return canonical(a) === canonical(b);
+    return a === b;
+}
+
+// Fields of `source` that `target` doesn't match. Fields only the target
+// has are left alone, as the upsert won't touch them either.
+const changedFields = (source, target) => Object.keys(source)
+    .filter(field => source[field] !== undefined && !sameValue(source[field], target[field]));
+
+// What copying `sourceRecords` over `targetRecords` would do, one entry
+// per source record: { record, status, fields }
+function planSync(sourceRecords, targetRecords) {
+    const targets = new Map(targetRecords.map(record => [record.id, record]));
+    return sourceRecords.map(record => {
+        const target = targets.get(record.id);
+        if (!target) return { record, status: 'added', fields: [] };
+        const fields = changedFields(record, target);
+        return { record, status: fields.length > 0 ? 'changed' : 'unchanged', fields };
+    });
+}
+
+// Subcategories point at their parent, so parents go first
+function parentsFirst(categories) {
+    const ids = new Set(categories.map(category => category.id));
+    const placed = new Set();
+    const ordered = [];
+    let remaining = categories;
+
+    while (remaining.length > 0) {
+        const ready = remaining.filter(c => !c.parentId || placed.has(c.parentId) || !ids.has(c.parentId));
+        // A parent loop can't be ordered; keep whatever is left as it is
+        if (ready.length === 0) return ordered.concat(remaining);
+        ready.forEach(category => {
+            placed.add(category.id);
+            ordered.push(category);
+        });
+        remaining = remaining.filter(category => !placed.has(category.id));
+    }
+    return ordered;
+}
+
+function chunk(items, size) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+    return chunks;
+}
+
+// Short human name for a record in the report
+const labelOf = (record) => record.title || record.name || record.username || record.action || '';
+
+module.exports = {
+    SYNC_ORDER,
+    DEFAULT_BATCH_SIZE,
+    sameValue,
+    changedFields,
+    planSync,
+    parentsFirst,
+    chunk,
+    labelOf
+};
@@ -0,0 +1,94 @@
+/**
+ * NK Solar Tech - In-memory Rate Limiting
+ *
+ * Fixed-window counters keyed by anything (usually an IP address):
+ *
+ *   const limiter = createRateLimiter({ windowMs: 60000, max: 5 });
+ *   limiter.hit(req.ip)  -> true while the key is under its limit
+ *
+ * Lockouts count failures instead, and shut a key out for a while once
+ * it has too many (used for logins):
+ *
+ *   const lockout = createLockout({ windowMs: 900000, maxFailures: 5, lockoutMs: 900000 });
+ *   lockout.lockedFor(key)  -> seconds the key is still locked out, or 0
+ *   lockout.fail(key)       -> true if this failure locked the key
+ *   lockout.reset(key)      -> forget the key's failures
+ *
+ * Counters live in this process only, which is enough for a single
+ * Render instance; they reset on restart.
+ */
+
+function createRateLimiter({ windowMs, max }) {
+    const hits = new Map();
+
+    // Drop expired windows now and then so the map can't grow forever
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of hits) {
+            if (entry.resetAt <= now) hits.delete(key);
+        }
+    }, windowMs);
+    sweep.unref();
+
+    return {
+        hit(key) {
+            const now = Date.now();
+            let entry = hits.get(key);
+            if (!entry || entry.resetAt <= now) {
+                entry = { count: 0, resetAt: now + windowMs };
+                hits.set(key, entry);
+            }
+            entry.count += 1;
+            return entry.count <= max;
+        },
+
+        // Seconds until the key's window resets
+        retryAfter(key) {
+            const entry = hits.get(key);
+            return entry ? Math.max(0, Math.ceil((entry.resetAt - Date.now()) / 1000)) : 0;
+        }
+    };
+}
+
+function createLockout({ windowMs, maxFailures, lockoutMs }) {
+    // key -> { failures, resetAt, lockedUntil }
+    const entries = new Map();
+
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of entries) {
+            if (entry.resetAt <= now && entry.lockedUntil <= now) entries.delete(key);
+        }
+    }, windowMs);
+    sweep.unref();
+
+    return {
+        lockedFor(key) {
+            const entry = entries.get(key);
+            return entry ? Math.max(0, Math.ceil((entry.lockedUntil - Date.now()) / 1000)) : 0;
+        },
+
+        fail(key) {
+            const now = Date.now();
+            let entry = entries.get(key);
+            if (!entry || entry.resetAt <= now) {
+                entry = { failures: 0, resetAt: now + windowMs, lockedUntil: 0 };
+                entries.set(key, entry);
+            }
+            entry.failures += 1;
+            if (entry.failures < maxFailures) return false;
+
+            // Locked: the count starts again once the lockout is over
+            entry.lockedUntil = now + lockoutMs;
+            entry.failures = 0;
+            entry.resetAt = entry.lockedUntil;
+            return true;
+        },
+
+        reset(key) {
+            entries.delete(key);
+        }
+    };
+}
+
+module.exports = { createRateLimiter, createLockout };
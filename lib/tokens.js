@@ -0,0 +1,158 @@
+/**
+ * NK Solar Tech - API Tokens
+ *
+ * For clients that can't use the session cookie (the site on another
+ * origin, scripts), requests may carry Authorization: Bearer <token>
+ * with one of:
+ *
+ *   access token  short-lived JWT (HS256, signed with JWT_SECRET) from
+ *                 POST /api/auth/token, renewed with its refresh token
+ *   API key       long-lived "nkst_<id>.<secret>" made in the dashboard,
+ *                 limited to the permissions (scopes) chosen for it
+ *
+ * A token login is stored in the refreshTokens collection:
+ *
+ *   { id, userId, tokenHash, expiresAt, lastSeenAt, ip, userAgent, createdAt }
+ *
+ * Its access tokens name it in `sid`, so deleting it (logout) revokes
+ * them at once. API keys are stored in apiKeys:
+ *
+ *   { id, name, userId, username, scopes, keyHash, expiresAt, lastUsedAt, createdAt }
+ *
+ * Only SHA-256 hashes of refresh tokens and API keys are stored; the
+ * tokens themselves are shown once, when they are issued.
+ */
+
+const crypto = require('crypto');
+const { permissionsFor, roleOf } = require('./permissions');
+
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const MAX_API_KEY_DAYS = 3650;
+const API_KEY_PREFIX = 'nkst_';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+const hmac = (secret, data) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const safeEqual = (a, b) => {
+    const given = Buffer.from(String(a));
+    const expected = Buffer.from(String(b));
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+const isExpired = (record, now = new Date()) => !!record.expiresAt && new Date(record.expiresAt) <= now;
+
+// ========================================================================
+// ACCESS TOKENS
+// ========================================================================
+
+const HEADER = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+
+function signAccessToken({ userId, sessionId }, secret, now = Date.now()) {
+    const iat = Math.floor(now / 1000);
+    const payload = base64url(JSON.stringify({ sub: userId, sid: sessionId, iat, exp: iat + ACCESS_TOKEN_TTL_SECONDS }));
+    return `${HEADER}.${payload}.${hmac(secret, `${HEADER}.${payload}`)}`;
+}
+
+// The payload of a valid, unexpired access token, or null
+function verifyAccessToken(token, secret, now = Date.now()) {
+    const parts = String(token).split('.');
+    if (parts.length !== 3) return null;
+
+    const [header, payload, signature] = parts;
+    if (header !== HEADER || !safeEqual(signature, hmac(secret, `${header}.${payload}`))) return null;
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (err) {
+        return null;
+    }
+    if (!claims || typeof claims.exp !== 'number' || claims.exp * 1000 <= now) return null;
+    return claims;
+}
+
+// ========================================================================
+// REFRESH TOKENS AND API KEYS
+// ========================================================================
+
+// Record ids are chosen here rather than by the store, because they are
+// part of the token that is handed out before the record is saved
+const newTokenId = (prefix) => `${prefix}-${crypto.randomBytes(8).toString('hex')}`;
+
+// A new "<id>.<secret>" token for the record `id`, and the hash to store
+const newSecretToken = (id) => {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    return { token: `${id}.${secret}`, hash: hashSecret(secret) };
+};
+
+// { id, secret } from a token made by newSecretToken, or null
+function parseSecretToken(token) {
+    const text = String(token || '');
+    const dot = text.lastIndexOf('.');
+    if (dot <= 0 || dot === text.length - 1) return null;
+    return { id: text.slice(0, dot), secret: text.slice(dot + 1) };
+}
+
+const matchesHash = (secret, hash) => !!hash && safeEqual(hashSecret(secret), hash);
+
+const isApiKey = (token) => String(token).startsWith(API_KEY_PREFIX);
+
+// Scopes and expiry for a new API key. A key can't do more than the user
+// who makes it. Returns { changes } or { error }.
+function buildApiKey(input, user, now = Date.now()) {
+    const allowed = permissionsFor(roleOf(user));
+    const scopes = [...new Set(input.scopes || [])];
+
+    const unknown = scopes.filter(scope => !allowed.includes(scope));
+    if (unknown.length > 0) return { error: `You can't give a key these scopes: ${unknown.join(', ')}` };
+
+    const days = input.expiresInDays === undefined || input.expiresInDays === '' ? null : Number(input.expiresInDays);
+    return {
+        changes: {
+            name: String(input.name).trim(),
+            userId: user.id,
+            username: user.username,
+            scopes,
+            expiresAt: days ? new Date(now + days * DAY_MS).toISOString() : null,
+            lastUsedAt: null
+        }
+    };
+}
+
+// Never send hashes to the browser
+const presentApiKey = ({ keyHash, ...key }) => key;
+
+// A token login as shown in the session list, next to cookie sessions
+const presentTokenSession = (record, currentId) => ({
+    current: record.id === currentId,
+    type: 'token',
+    ip: record.ip || null,
+    userAgent: record.userAgent || '',
+    createdAt: record.createdAt,
+    lastSeenAt: record.lastSeenAt || record.createdAt,
+    expiresAt: record.expiresAt
+});
+
+module.exports = {
+    ACCESS_TOKEN_TTL_SECONDS,
+    REFRESH_TOKEN_TTL_MS,
+    MAX_API_KEY_DAYS,
+    API_KEY_PREFIX,
+    isExpired,
+    signAccessToken,
+    verifyAccessToken,
+    newTokenId,
+    newSecretToken,
+    parseSecretToken,
+    matchesHash,
+    isApiKey,
+    buildApiKey,
+    presentApiKey,
+    presentTokenSession
+};
@@ -0,0 +1,63 @@
+/**
+ * NK Solar Tech - Trash
+ *
+ * Deleting a product or course moves it into the trash collection
+ * instead of removing it for good:
+ *
+ *   { id, type, recordId, title, record, related, userId, username, createdAt }
+ *
+ * record is the deleted record as it was; related holds the records that
+ * belong to it (a product's stock movements, a course's comments), so a
+ * restore brings everything back. createdAt is when it was deleted.
+ *
+ * Entries older than the trashRetentionDays setting are purged, and only
+ * then is the image deleted.
+ */
+
+// What each kind of record takes into the trash with it:
+// related collection -> field that points back at the record
+const TRASH_TYPES = {
+    product: { collection: 'products', related: { stockMovements: 'productId' } },
+    course: { collection: 'courses', related: { comments: 'courseId' } }
+};
+
+const DEFAULT_RETENTION_DAYS = 30;
+const MAX_RETENTION_DAYS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A trash entry for `record` of `type`, with its related records
+function trashEntry(type, record, related, user) {
+    return {
+        type,
+        recordId: record.id,
+        title: record.title,
+        record,
+        related,
+        userId: (user && user.id) || null,
+        username: (user && user.username) || null
+    };
+}
+
+// When an entry will be purged
+const purgeAt = (entry, retentionDays) => new Date(new Date(entry.createdAt).getTime() + retentionDays * DAY_MS);
+
+const isExpired = (entry, retentionDays, now = new Date()) => purgeAt(entry, retentionDays) <= now;
+
+// What the dashboard list shows; the stored copies stay on the server
+const presentTrashEntry = ({ record, related, ...entry }, retentionDays) => ({
+    ...entry,
+    image: record.image || '',
+    relatedCount: Object.values(related || {}).reduce((sum, records) => sum + records.length, 0),
+    purgeAt: purgeAt(entry, retentionDays).toISOString()
+});
+
+module.exports = {
+    TRASH_TYPES,
+    DEFAULT_RETENTION_DAYS,
+    MAX_RETENTION_DAYS,
+    trashEntry,
+    purgeAt,
+    isExpired,
+    presentTrashEntry
+};
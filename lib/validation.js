@@ -0,0 +1,140 @@
+/**
+ * NK Solar Tech - Request Validation
+ *
+ * Each resource declares the fields it accepts (see lib/schemas.js):
+ *
+ *   { title: { type: 'string', required: true, maxLength: 200 }, ... }
+ *
+ * Rules, all optional:
+ *
+ *   type       string | number | integer | boolean | date | url | list | array | object | json
+ *   label      name used in messages (default: from the field name)
+ *   required   must be sent and not blank; on updates only checked if sent
+ *   minLength, maxLength   characters, or items for list/array
+ *   min, max   for number and integer
+ *   oneOf      allowed values
+ *   pattern    RegExp a string must match, with `message` to explain it
+ *   relative   url only: also accept site paths like /uploads/x.jpg
+ *
+ * Forms send everything as text, so numbers, booleans and dates may be
+ * strings; they are only checked here, the lib/ builders convert them.
+ * `list` is an array or comma-separated text, `json` an object or JSON
+ * text. Blank values pass unless the field is required.
+ */
+
+const BOOLEAN_VALUES = [true, false, 'true', 'false', 'on', 'off', '1', '0'];
+
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+// Field name as words for messages: saleStartsAt -> "Sale starts at"
+const labelFor = (field, rule) => rule.label || field
+    .replace(/([A-Z])/g, ' $1')
+    .replace(/^./, c => c.toUpperCase())
+    .replace(/ (\w)/g, (m, c) => ` ${c.toLowerCase()}`);
+
+const isUrl = (value, relative) => {
+    if (relative && /^\/[^/\\]/.test(value) && !value.includes('..')) return true;
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (err) {
+        return false;
+    }
+};
+
+const parseJson = (value) => {
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (err) {
+        return undefined;
+    }
+};
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// Problem with one present, non-blank value, or null
+function checkValue(value, rule, label) {
+    const { type = 'string' } = rule;
+
+    if (['number', 'integer'].includes(type)) {
+        const number = Number(value);
+        if (typeof value === 'boolean' || !Number.isFinite(number)) return `${label} must be a number`;
+        if (type === 'integer' && !Number.isInteger(number)) return `${label} must be a whole number`;
+        if (rule.min !== undefined && number < rule.min) return `${label} must be at least ${rule.min}`;
+        if (rule.max !== undefined && number > rule.max) return `${label} must be at most ${rule.max}`;
+        return null;
+    }
+
+    if (type === 'boolean') return BOOLEAN_VALUES.includes(value) ? null : `${label} must be true or false`;
+
+    if (type === 'date') {
+        return typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? null : `${label} must be a valid date`;
+    }
+
+    if (type === 'object') return isPlainObject(value) ? null : `${label} must be an object`;
+
+    if (type === 'json') {
+        return isPlainObject(parseJson(value)) ? null : `${label} must be an object or valid JSON`;
+    }
+
+    if (type === 'array' || type === 'list') {
+        if (type === 'array' && !Array.isArray(value)) return `${label} must be a list`;
+        const items = Array.isArray(value) ? value : String(value).split(',').filter(item => item.trim());
+        if (rule.minLength !== undefined && items.length < rule.minLength) return `${label} needs at least ${rule.minLength} item(s)`;
+        if (rule.maxLength !== undefined && items.length > rule.maxLength) return `${label} can have at most ${rule.maxLength} items`;
+        return null;
+    }
+
+    // string and url
+    if (typeof value !== 'string' && typeof value !== 'number') return `${label} must be text`;
+    const text = String(value).trim();
+    if (rule.minLength !== undefined && text.length < rule.minLength) return `${label} must be at least ${rule.minLength} characters`;
+    if (rule.maxLength !== undefined && text.length > rule.maxLength) return `${label} must be at most ${rule.maxLength} characters`;
+    if (rule.oneOf && !rule.oneOf.includes(text)) return `${label} must be one of: ${rule.oneOf.join(', ')}`;
+    if (rule.pattern && !rule.pattern.test(text)) return rule.message || `${label} is not valid`;
+    if (type === 'url' && !isUrl(text, rule.relative)) {
+        return rule.relative ? `${label} must be a link or a path starting with /` : `${label} must be a link starting with http:// or https://`;
+    }
+    return null;
+}
+
+// Every problem with `body`, as [{ field, message }]. With `partial`
+// (updates), required fields are only checked when they are sent.
+function validateBody(schema, body, { partial = false } = {}) {
+    const errors = [];
+    for (const [field, rule] of Object.entries(schema)) {
+        const value = body[field];
+        const label = labelFor(field, rule);
+
+        if (isBlank(value)) {
+            if (rule.required && !(partial && value === undefined)) errors.push({ field, message: `${label} is required` });
+            continue;
+        }
+
+        const message = checkValue(value, rule, label);
+        if (message) errors.push({ field, message });
+    }
+    return errors;
+}
+
+// Keep only the fields the schema knows about
+const pickFields = (schema, body) => Object.fromEntries(
+    Object.entries(body || {}).filter(([field]) => Object.prototype.hasOwnProperty.call(schema, field))
+);
+
+// Route middleware. Place it after upload.single() on multipart routes,
+// which is when req.body is filled in.
+const validate = (schema, options = {}) => (req, res, next) => {
+    const errors = validateBody(schema, req.body || {}, options);
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: errors[0].message, errors });
+    }
+    req.body = pickFields(schema, req.body);
+    next();
+};
+
+module.exports = {
+    validateBody,
+    pickFields,
+    validate
+};
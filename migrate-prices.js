@@ -0,0 +1,74 @@
+/**
+ * NK Solar Tech - Price Migration Script
+ *
+ * Converts the old free-text `price` of every product ("₦25,000",
+ * "45k", "Contact for Price", ...) into the structured price fields.
+ * Prices that can't be understood are left as they are and listed at
+ * the end so they can be fixed in the dashboard.
+ *
+ * Works on whichever storage server.js uses (Supabase if configured in
+ * .env, otherwise data/products.json). For Supabase, run the
+ * supabase-schema.sql upgrade first.
+ *
+ * Run: node migrate-prices.js [--dry-run]
+ */
+
+require('dotenv').config();
+const path = require('path');
+const { createRepositories } = require('./lib/store');
+const { parsePriceText, formatAmount } = require('./lib/pricing');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_SERVICE_KEY;
+
+let supabaseClient = null;
+if (supabaseUrl && supabaseKey) {
+    const { createClient } = require('@supabase/supabase-js');
+    supabaseClient = createClient(supabaseUrl, supabaseKey);
+}
+
+const db = createRepositories({ supabaseClient, dataDir: path.join(__dirname, 'data') });
+
+async function migrate() {
+    console.log(`Migrating product prices (${supabaseClient ? 'Supabase' : 'local JSON'})${dryRun ? ' - dry run' : ''}...\n`);
+
+    const products = await db.products.list();
+    const unparsed = [];
+    let converted = 0;
+
+    for (const product of products) {
+        // Already structured, or nothing to convert
+        if (product.priceAmount !== undefined && product.priceAmount !== null) continue;
+        if (product.priceOnRequest || !product.price) continue;
+
+        const parsed = parsePriceText(product.price);
+        if (!parsed) {
+            unparsed.push(product);
+            continue;
+        }
+
+        const changes = parsed.onRequest
+            ? { priceAmount: null, priceOnRequest: true, price: '' }
+            : { priceAmount: parsed.amount, currency: parsed.currency, priceOnRequest: false, price: '' };
+
+        const result = parsed.onRequest ? 'Price on request' : formatAmount(parsed.amount, parsed.currency);
+        console.log(`  ${product.title}: "${product.price}" -> ${result}`);
+
+        if (!dryRun) await db.products.update(product.id, changes);
+        converted++;
+    }
+
+    console.log(`\n✓ ${dryRun ? 'Would convert' : 'Converted'} ${converted} of ${products.length} products`);
+
+    if (unparsed.length > 0) {
+        console.log(`\n⚠️  ${unparsed.length} prices need fixing by hand:`);
+        unparsed.forEach(p => console.log(`  ${p.id} ${p.title}: "${p.price}"`));
+    }
+}
+
+migrate().catch(err => {
+    console.error('❌ Migration failed:', err.message);
+    process.exit(1);
+});
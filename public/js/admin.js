@@ -3,31 +3,82 @@
 let currentSection = 'products';
 let products = [];
 let courses = [];
+let categories = [];
+let users = [];
+let comments = [];
+let lowStock = [];
+let enquiries = [];
+let assignees = [];
+let auditEntries = [];
+let trashEntries = [];
+let apiKeys = [];
 let editingId = null;
+let editingLessons = [];
+let permissions = [];
+// The session's CSRF token, from /api/auth/status
+let csrfToken = '';
+
+// Search, filter and paging state for the paged tables
+const PAGE_SIZE = 20;
+const listState = {
+    products: { q: '', offset: 0, total: 0, filters: { status: '' } },
+    courses: { q: '', offset: 0, total: 0, filters: { status: '' } },
+    enquiries: { q: '', offset: 0, total: 0, filters: { status: '' } },
+    trash: { q: '', offset: 0, total: 0, filters: { type: '' } },
+    audit: { q: '', offset: 0, total: 0, filters: { action: '' } }
+};
 
 // Initialize
-document.addEventListener('DOMContentLoaded', () => {
-    checkAuth();
+document.addEventListener('DOMContentLoaded', async () => {
+    await checkAuth();
     setupNavigation();
     setupEventListeners();
     loadData();
 });
 
+// fetch() for the API. Anything but a GET carries the CSRF token, which
+// the server wants with every change made through a session.
+function apiFetch(url, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    if (method === 'GET' || method === 'HEAD') return fetch(url, options);
+    return fetch(url, { ...options, headers: { ...(options.headers || {}), 'X-CSRF-Token': csrfToken } });
+}
+
 // Check authentication
 async function checkAuth() {
     try {
-        const response = await fetch('/api/auth/status');
+        const response = await apiFetch('/api/auth/status');
         const data = await response.json();
         
         if (!data.authenticated) {
             window.location.href = '/admin-login.html';
             return;
         }
+        
+        permissions = data.permissions || [];
+        csrfToken = data.csrfToken || '';
+        applyPermissions();
+        
+        if (data.mustChangePassword) {
+            openPasswordModal(true);
+        }
     } catch (err) {
         window.location.href = '/admin-login.html';
     }
 }
 
+// Whether the logged-in user has a permission, e.g. can('content:delete')
+function can(permission) {
+    return permissions.includes(permission);
+}
+
+// Hide controls marked with data-permission that the current user can't use
+function applyPermissions() {
+    document.querySelectorAll('[data-permission]').forEach(el => {
+        el.style.display = can(el.dataset.permission) ? '' : 'none';
+    });
+}
+
 // Setup navigation
 function setupNavigation() {
     const navItems = document.querySelectorAll('.nav-item');
@@ -55,13 +106,25 @@ function setupEventListeners() {
     document.getElementById('logoutBtn').addEventListener('click', async (e) => {
         e.preventDefault();
         try {
-            await fetch('/api/logout', { method: 'POST' });
+            await apiFetch('/api/logout', { method: 'POST' });
             window.location.href = '/admin-login.html';
         } catch (err) {
             showToast('Logout failed', 'error');
         }
     });
 
+    // Change password button
+    document.getElementById('changePasswordBtn').addEventListener('click', (e) => {
+        e.preventDefault();
+        openPasswordModal(false);
+    });
+
+    // Sessions button
+    document.getElementById('sessionsBtn').addEventListener('click', (e) => {
+        e.preventDefault();
+        openSessionsModal();
+    });
+
     // Image preview
     document.getElementById('itemImage').addEventListener('change', (e) => {
         const file = e.target.files[0];
@@ -76,31 +139,188 @@ function setupEventListeners() {
         }
     });
 
+    // Search boxes, debounced so typing doesn't fire a request per key
+    ['products', 'courses', 'enquiries', 'trash', 'audit'].forEach(plural => {
+        let timer;
+        document.getElementById(`${plural}Search`).addEventListener('input', (e) => {
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                listState[plural].q = e.target.value.trim();
+                listState[plural].offset = 0;
+                loadData();
+            }, 300);
+        });
+    });
+
+    // Publishing status, enquiry status, trash type and audit action filters
+    [
+        ['products', 'status', 'productStatusFilter'],
+        ['courses', 'status', 'courseStatusFilter'],
+        ['enquiries', 'status', 'enquiryStatusFilter'],
+        ['trash', 'type', 'trashTypeFilter'],
+        ['audit', 'action', 'auditActionFilter']
+    ].forEach(([plural, filter, selectId]) => {
+        document.getElementById(selectId).addEventListener('change', (e) => {
+            listState[plural].filters[filter] = e.target.value;
+            listState[plural].offset = 0;
+            loadData();
+        });
+    });
+
+    // A newly chosen import file has to be checked before it can be imported
+    document.getElementById('importFile').addEventListener('change', () => {
+        document.getElementById('importPreview').innerHTML = '';
+        document.getElementById('importApplyBtn').style.display = 'none';
+    });
+
+    // Comment status filter
+    document.getElementById('commentStatusFilter').addEventListener('change', loadComments);
+
     // Close modal on overlay click
     document.getElementById('modalOverlay').addEventListener('click', (e) => {
         if (e.target === e.currentTarget) {
             closeModal();
         }
     });
+
+    document.getElementById('categoryModalOverlay').addEventListener('click', (e) => {
+        if (e.target === e.currentTarget) {
+            closeCategoryModal();
+        }
+    });
+
+    document.getElementById('userModalOverlay').addEventListener('click', (e) => {
+        if (e.target === e.currentTarget) {
+            closeUserModal();
+        }
+    });
+
+    document.getElementById('stockModalOverlay').addEventListener('click', (e) => {
+        if (e.target === e.currentTarget) {
+            closeStockModal();
+        }
+    });
+
+    document.getElementById('enquiryModalOverlay').addEventListener('click', (e) => {
+        if (e.target === e.currentTarget) {
+            closeEnquiryModal();
+        }
+    });
 }
 
 // Load data from API
 async function loadData() {
     try {
+        // Load categories (before products, whose table shows them)
+        const categoriesResponse = await apiFetch('/api/categories');
+        categories = await categoriesResponse.json();
+        renderCategories();
+
         // Load products
-        const productsResponse = await fetch('/api/products');
-        products = await productsResponse.json();
+        products = await fetchPage('products');
         renderProducts();
 
+        // Load low stock products
+        const lowStockResponse = await apiFetch('/api/stock/low');
+        lowStock = await lowStockResponse.json();
+        renderInventory();
+
         // Load courses
-        const coursesResponse = await fetch('/api/courses');
-        courses = await coursesResponse.json();
+        courses = await fetchPage('courses');
         renderCourses();
+
+        // Load enquiries and the people they can be assigned to
+        enquiries = await fetchPage('enquiries');
+        const assigneesResponse = await apiFetch('/api/enquiries/assignees');
+        assignees = await assigneesResponse.json();
+        renderEnquiries();
+
+        // Load comments
+        await loadComments();
+
+        // Load trash
+        trashEntries = await fetchPage('trash');
+        renderTrash();
+
+        // Load API keys
+        await loadApiKeys();
+
+        // Load users
+        if (can('users:manage')) {
+            const usersResponse = await apiFetch('/api/users');
+            users = await usersResponse.json();
+            renderUsers();
+        }
+
+        // Load audit log
+        if (can('audit:read')) {
+            auditEntries = await fetchPage('audit');
+            renderAudit();
+        }
+
+        // Load settings
+        if (can('settings:manage')) {
+            const settingsResponse = await apiFetch('/api/settings/all');
+            renderSettings(await settingsResponse.json());
+        }
     } catch (err) {
         showToast('Failed to load data', 'error');
     }
 }
 
+// Query string for a table's search and filters
+function listParams(plural) {
+    const state = listState[plural];
+    const params = new URLSearchParams();
+    if (state.q) params.set('q', state.q);
+    Object.entries(state.filters).forEach(([name, value]) => {
+        if (value) params.set(name, value);
+    });
+    return params;
+}
+
+// Fetch the current page of one of the paged tables
+async function fetchPage(plural) {
+    const state = listState[plural];
+    const params = listParams(plural);
+    params.set('limit', PAGE_SIZE);
+    params.set('offset', state.offset);
+    
+    const response = await apiFetch(`/api/${plural}?${params}`);
+    const data = await response.json();
+    state.total = data.total;
+    renderPager(plural);
+    return data.items;
+}
+
+// Render "1-20 of 57" with previous/next buttons
+function renderPager(plural) {
+    const { offset, total } = listState[plural];
+    const pager = document.getElementById(`${plural}Pager`);
+    
+    if (total <= PAGE_SIZE && offset === 0) {
+        pager.innerHTML = '';
+        return;
+    }
+    
+    pager.innerHTML = `
+        <span>${offset + 1}-${Math.min(offset + PAGE_SIZE, total)} of ${total}</span>
+        <button onclick="changePage('${plural}', -1)" ${offset === 0 ? 'disabled' : ''}>
+            <i class="fas fa-chevron-left"></i>
+        </button>
+        <button onclick="changePage('${plural}', 1)" ${offset + PAGE_SIZE >= total ? 'disabled' : ''}>
+            <i class="fas fa-chevron-right"></i>
+        </button>
+    `;
+}
+
+// Go to the previous (-1) or next (1) page
+function changePage(plural, direction) {
+    const state = listState[plural];
+    state.offset = Math.max(0, state.offset + direction * PAGE_SIZE);
+    loadData();
+}
+
 // Render products table
 function renderProducts() {
     const tbody = document.getElementById('productsTable');
@@ -122,14 +342,97 @@ function renderProducts() {
                      onerror="this.src='data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 width=%2260%22 height=%2240%22><rect fill=%22%23eee%22 width=%2260%22 height=%2240%22/><text fill=%22%23999%22 font-size=%2210%22 x=%2250%22 y=%2225%22 text-anchor=%22middle%22>No Image</text></svg>'">
             </td>
             <td><strong>${escapeHtml(product.title)}</strong></td>
-            <td>${escapeHtml(product.price || 'N/A')}</td>
+            <td>${escapeHtml(categoryName(product.categoryId))}</td>
+            <td>
+                ${escapeHtml(product.price || 'N/A')}
+                ${product.onSale ? `<div class="old-price">${escapeHtml(product.regularPrice)}</div>` : ''}
+            </td>
+            <td>${stockBadge(product)}</td>
+            <td>${publishBadge(product)}</td>
             <td>
                 <div class="action-btns">
+                    <button class="action-btn key-btn" onclick="openStockModal('${product.id}')" title="Stock">
+                        <i class="fas fa-warehouse"></i>
+                    </button>
+                    <button class="action-btn key-btn" onclick="previewItem('product', '${product.id}')" title="Preview">
+                        <i class="fas fa-eye"></i>
+                    </button>
+                    ${can('content:write') ? `
                     <button class="action-btn edit-btn" onclick="editItem('product', '${product.id}')">
                         <i class="fas fa-edit"></i>
-                    </button>
+                    </button>` : ''}
+                    ${can('content:delete') ? `
                     <button class="action-btn delete-btn" onclick="deleteItem('product', '${product.id}')">
                         <i class="fas fa-trash"></i>
+                    </button>` : ''}
+                </div>
+            </td>
+        </tr>
+    `).join('');
+}
+
+const AVAILABILITY_LABELS = {
+    in_stock: 'In stock',
+    low_stock: 'Low stock',
+    out_of_stock: 'Out of stock',
+    preorder: 'Preorder'
+};
+
+// Availability badge, with the count when stock is tracked
+function stockBadge(product) {
+    const count = product.stockQuantity === null || product.stockQuantity === undefined ? '' : ` (${product.stockQuantity})`;
+    return `<span class="status-badge ${product.availability}">${AVAILABILITY_LABELS[product.availability] || ''}${count}</span>`;
+}
+
+// Publishing badge; a published record with a future go-live time is scheduled
+function publishBadge(record) {
+    const status = record.status || 'published';
+    if (status === 'draft') return '<span class="status-badge muted">Draft</span>';
+    if (status === 'archived') return '<span class="status-badge rejected">Archived</span>';
+    if (record.publishAt && new Date(record.publishAt) > new Date()) {
+        return `<span class="status-badge pending">Scheduled ${new Date(record.publishAt).toLocaleString()}</span>`;
+    }
+    return '<span class="status-badge">Published</span>';
+}
+
+// Open a product or course as the public will see it, drafts included
+async function previewItem(type, id) {
+    try {
+        const response = await apiFetch(`/api/${type}s/${id}/preview`, { method: 'POST' });
+        const data = await response.json();
+        
+        if (data.success) {
+            window.open(data.url, '_blank');
+        } else {
+            showToast(data.error || 'Failed to create preview link', 'error');
+        }
+    } catch (err) {
+        showToast('Failed to create preview link', 'error');
+    }
+}
+
+// Render low stock table
+function renderInventory() {
+    const tbody = document.getElementById('inventoryTable');
+    const emptyState = document.getElementById('inventoryEmpty');
+    
+    if (lowStock.length === 0) {
+        tbody.innerHTML = '';
+        emptyState.style.display = 'block';
+        return;
+    }
+    
+    emptyState.style.display = 'none';
+    tbody.innerHTML = lowStock.map(product => `
+        <tr>
+            <td><strong>${escapeHtml(product.title)}</strong></td>
+            <td>${product.stockQuantity}</td>
+            <td>${product.lowStockThreshold}</td>
+            <td>${stockBadge(product)}</td>
+            <td>
+                <div class="action-btns">
+                    <button class="action-btn key-btn" onclick="openStockModal('${product.id}')" title="Adjust stock">
+                        <i class="fas fa-warehouse"></i>
                     </button>
                 </div>
             </td>
@@ -137,6 +440,78 @@ function renderProducts() {
     `).join('');
 }
 
+// Open the stock modal with a product's movement history
+async function openStockModal(id) {
+    const product = products.find(p => p.id === id) || lowStock.find(p => p.id === id);
+    
+    document.getElementById('stockForm').reset();
+    document.getElementById('stockProductId').value = id;
+    document.getElementById('stockModalTitle').textContent = `Stock: ${product ? product.title : ''}`;
+    document.getElementById('stockHistory').innerHTML = '';
+    document.getElementById('stockModalOverlay').classList.add('active');
+    
+    try {
+        const response = await apiFetch(`/api/products/${id}/stock`);
+        const movements = await response.json();
+        
+        document.getElementById('stockHistory').innerHTML = movements.length === 0
+            ? '<li>No stock movements yet.</li>'
+            : movements.map(movement => `
+                <li>
+                    <span>
+                        <strong>${movement.change > 0 ? '+' : ''}${movement.change}</strong> → ${movement.quantityAfter}
+                        · ${escapeHtml(movement.reason)}
+                    </span>
+                    <small>${escapeHtml(movement.username || '')} ${new Date(movement.createdAt).toLocaleString()}</small>
+                </li>
+            `).join('');
+    } catch (err) {
+        showToast('Failed to load stock history', 'error');
+    }
+}
+
+// Close stock modal
+function closeStockModal() {
+    document.getElementById('stockModalOverlay').classList.remove('active');
+}
+
+// Record a stock adjustment
+async function saveStockAdjustment() {
+    const id = document.getElementById('stockProductId').value;
+    const change = document.getElementById('stockChange').value;
+    const reason = document.getElementById('stockReason').value.trim();
+    
+    if (!change || !reason) {
+        showToast('Please fill in all required fields', 'error');
+        return;
+    }
+    
+    const saveBtn = document.getElementById('stockSaveBtn');
+    saveBtn.disabled = true;
+    
+    try {
+        const response = await apiFetch(`/api/products/${id}/stock`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ change, reason })
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            showToast('Stock updated successfully', 'success');
+            closeStockModal();
+            loadData();
+        } else {
+            showToast(data.error || 'Failed to update stock', 'error');
+        }
+    } catch (err) {
+        showToast('Failed to update stock', 'error');
+    } finally {
+        saveBtn.disabled = false;
+    }
+}
+
 // Render courses table
 function renderCourses() {
     const tbody = document.getElementById('coursesTable');
@@ -159,184 +534,1601 @@ function renderCourses() {
             </td>
             <td><strong>${escapeHtml(course.title)}</strong></td>
             <td>${escapeHtml(course.date)}</td>
+            <td>${publishBadge(course)}</td>
             <td>
                 <div class="action-btns">
+                    <button class="action-btn key-btn" onclick="previewItem('course', '${course.id}')" title="Preview">
+                        <i class="fas fa-eye"></i>
+                    </button>
+                    ${can('content:write') ? `
                     <button class="action-btn edit-btn" onclick="editItem('course', '${course.id}')">
                         <i class="fas fa-edit"></i>
-                    </button>
+                    </button>` : ''}
+                    ${can('content:delete') ? `
                     <button class="action-btn delete-btn" onclick="deleteItem('course', '${course.id}')">
                         <i class="fas fa-trash"></i>
+                    </button>` : ''}
+                </div>
+            </td>
+        </tr>
+    `).join('');
+}
+
+// Render enquiries table
+function renderEnquiries() {
+    const tbody = document.getElementById('enquiriesTable');
+    const emptyState = document.getElementById('enquiriesEmpty');
+    
+    if (enquiries.length === 0) {
+        tbody.innerHTML = '';
+        emptyState.style.display = 'block';
+        return;
+    }
+    
+    emptyState.style.display = 'none';
+    tbody.innerHTML = enquiries.map(enquiry => `
+        <tr>
+            <td>${new Date(enquiry.createdAt).toLocaleDateString()}</td>
+            <td><strong>${escapeHtml(enquiry.name)}</strong></td>
+            <td><a href="tel:${escapeHtml(enquiry.phone)}">${escapeHtml(enquiry.phone)}</a></td>
+            <td>${escapeHtml(enquiry.location)}</td>
+            <td>${escapeHtml((enquiry.productTitles || []).join(', '))}</td>
+            <td><span class="status-badge ${enquiry.status}">${escapeHtml(enquiry.status)}</span></td>
+            <td>${escapeHtml(assigneeName(enquiry.assignedTo))}</td>
+            <td>
+                <div class="action-btns">
+                    <button class="action-btn edit-btn" onclick="openEnquiryModal('${enquiry.id}')" title="Open">
+                        <i class="fas fa-eye"></i>
                     </button>
+                    ${can('content:delete') ? `
+                    <button class="action-btn delete-btn" onclick="deleteEnquiry('${enquiry.id}')" title="Delete">
+                        <i class="fas fa-trash"></i>
+                    </button>` : ''}
                 </div>
             </td>
         </tr>
     `).join('');
 }
 
-// Open modal for adding/editing
-function openModal(type, id = null) {
-    editingId = id;
-    const modal = document.getElementById('modalOverlay');
-    const title = document.getElementById('modalTitle');
-    const priceGroup = document.getElementById('priceGroup');
-    const contentGroup = document.getElementById('contentGroup');
-    const itemType = document.getElementById('itemType');
+// Display name of the user an enquiry is assigned to
+function assigneeName(id) {
+    const user = assignees.find(u => u.id === id);
+    return user ? (user.name || user.username) : '';
+}
+
+// Open an enquiry with its details and notes
+function openEnquiryModal(id) {
+    const enquiry = enquiries.find(e => e.id === id);
+    if (!enquiry) return;
     
-    document.getElementById('itemForm').reset();
-    document.getElementById('imagePreview').innerHTML = '';
-    document.getElementById('itemId').value = '';
+    document.getElementById('enquiryForm').reset();
+    document.getElementById('enquiryId').value = id;
+    document.getElementById('enquiryModalTitle').textContent = `${enquiry.type === 'installation' ? 'Installation' : 'Quote'} enquiry from ${enquiry.name}`;
+    document.getElementById('enquiryDetails').innerHTML = `
+        <p><strong>Phone:</strong> <a href="tel:${escapeHtml(enquiry.phone)}">${escapeHtml(enquiry.phone)}</a></p>
+        ${enquiry.location ? `<p><strong>Location:</strong> ${escapeHtml(enquiry.location)}</p>` : ''}
+        ${(enquiry.productTitles || []).length > 0 ? `<p><strong>Products:</strong> ${escapeHtml(enquiry.productTitles.join(', '))}</p>` : ''}
+        <p><strong>Received:</strong> ${new Date(enquiry.createdAt).toLocaleString()}</p>
+        ${enquiry.message ? `<p class="enquiry-message">${escapeHtml(enquiry.message)}</p>` : ''}
+    `;
     
-    if (type === 'product') {
-        title.textContent = id ? 'Edit Product' : 'Add New Product';
-        priceGroup.style.display = 'block';
-        contentGroup.style.display = 'none';
-        itemType.value = 'product';
-        
-        if (id) {
-            const product = products.find(p => p.id === id);
-            if (product) {
-                document.getElementById('itemId').value = product.id;
-                document.getElementById('itemTitle').value = product.title;
-                document.getElementById('itemPrice').value = product.price || '';
-                document.getElementById('itemDescription').value = product.description || '';
-                
-                if (product.image) {
-                    document.getElementById('imagePreview').innerHTML = `
-                        <img src="${product.image}" alt="Current image">
-                    `;
-                }
-            }
-        }
-    } else {
-        title.textContent = id ? 'Edit Course' : 'Add New Course';
-        priceGroup.style.display = 'none';
-        contentGroup.style.display = 'block';
-        itemType.value = 'course';
-        
-        if (id) {
-            const course = courses.find(c => c.id === id);
-            if (course) {
-                document.getElementById('itemId').value = course.id;
-                document.getElementById('itemTitle').value = course.title;
-                document.getElementById('itemDescription').value = course.description || '';
-                document.getElementById('itemContent').value = course.content || '';
-                
-                if (course.image) {
-                    document.getElementById('imagePreview').innerHTML = `
-                        <img src="${course.image}" alt="Current image">
-                    `;
-                }
-            }
-        }
-    }
+    const assignedTo = document.getElementById('enquiryAssignedTo');
+    assignedTo.innerHTML = `<option value="">— Unassigned —</option>${assignees.map(u =>
+        `<option value="${u.id}">${escapeHtml(u.name || u.username)}</option>`).join('')}`;
+    assignedTo.value = enquiry.assignedTo || '';
+    document.getElementById('enquiryStatus').value = enquiry.status;
     
-    modal.classList.add('active');
+    ['enquiryStatus', 'enquiryAssignedTo'].forEach(field => {
+        document.getElementById(field).disabled = !can('content:write');
+    });
+    
+    renderEnquiryNotes(enquiry);
+    document.getElementById('enquiryModalOverlay').classList.add('active');
 }
 
-// Close modal
-function closeModal() {
-    document.getElementById('modalOverlay').classList.remove('active');
-    editingId = null;
+// Render the notes of an open enquiry, oldest first
+function renderEnquiryNotes(enquiry) {
+    const notes = enquiry.notes || [];
+    document.getElementById('enquiryNotes').innerHTML = notes.length === 0
+        ? '<li>No notes yet.</li>'
+        : notes.map(note => `
+            <li>
+                <span>${escapeHtml(note.text)}</span>
+                <small>${escapeHtml(note.username || '')} ${new Date(note.createdAt).toLocaleString()}</small>
+            </li>
+        `).join('');
 }
 
-// Edit item
-function editItem(type, id) {
-    openModal(type, id);
+// Close enquiry modal
+function closeEnquiryModal() {
+    document.getElementById('enquiryModalOverlay').classList.remove('active');
 }
 
-// Delete item
-async function deleteItem(type, id) {
-    const item = type === 'product' 
-        ? products.find(p => p.id === id)
-        : courses.find(c => c.id === id);
-    
-    const confirmDelete = confirm(`Are you sure you want to delete "${item?.title}"?`);
+// Save status and assignment, plus a new note if one was written
+async function saveEnquiry() {
+    const id = document.getElementById('enquiryId').value;
+    const note = document.getElementById('enquiryNote').value.trim();
     
-    if (!confirmDelete) return;
+    const saveBtn = document.getElementById('enquirySaveBtn');
+    saveBtn.disabled = true;
     
     try {
-        const response = await fetch(`/api/${type}s/${id}`, {
-            method: 'DELETE'
+        const response = await apiFetch(`/api/enquiries/${id}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                status: document.getElementById('enquiryStatus').value,
+                assignedTo: document.getElementById('enquiryAssignedTo').value
+            })
         });
         
-        const data = await response.json();
+        let data = await response.json();
+        
+        if (data.success && note) {
+            const noteResponse = await apiFetch(`/api/enquiries/${id}/notes`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ text: note })
+            });
+            data = await noteResponse.json();
+        }
         
         if (data.success) {
-            showToast(`${type === 'product' ? 'Product' : 'Course'} deleted successfully`, 'success');
-            loadData(); // Reload data
+            showToast('Enquiry updated successfully', 'success');
+            closeEnquiryModal();
+            loadData();
         } else {
-            showToast(data.error || 'Failed to delete', 'error');
+            showToast(data.error || 'Failed to update enquiry', 'error');
         }
     } catch (err) {
-        showToast('Failed to delete item', 'error');
+        showToast('Failed to update enquiry', 'error');
+    } finally {
+        saveBtn.disabled = false;
     }
 }
 
-// Save item
-async function saveItem() {
-    const type = document.getElementById('itemType').value;
-    const id = document.getElementById('itemId').value;
-    const title = document.getElementById('itemTitle').value.trim();
-    const description = document.getElementById('itemDescription').value.trim();
-    const imageFile = document.getElementById('itemImage').files[0];
-    
-    // Validation
-    if (!title || !description) {
-        showToast('Please fill in all required fields', 'error');
-        return;
-    }
+// Delete an enquiry
+async function deleteEnquiry(id) {
+    const enquiry = enquiries.find(e => e.id === id);
+    if (!confirm(`Are you sure you want to delete the enquiry from "${enquiry?.name}"?`)) return;
     
-    const saveBtn = document.getElementById('saveBtn');
-    const btnText = saveBtn.querySelector('.btn-text');
-    btnText.innerHTML = '<span class="loading-spinner"></span> Saving...';
-    saveBtn.disabled = true;
+    try {
+        const response = await apiFetch(`/api/enquiries/${id}`, { method: 'DELETE' });
+        const data = await response.json();
+        
+        if (data.success) {
+            showToast('Enquiry deleted successfully', 'success');
+            loadData();
+        } else {
+            showToast(data.error || 'Failed to delete enquiry', 'error');
+        }
+    } catch (err) {
+        showToast('Failed to delete enquiry', 'error');
+    }
+}
+
+// Load the moderation queue for the selected status
+async function loadComments() {
+    try {
+        const status = document.getElementById('commentStatusFilter').value;
+        const response = await apiFetch(`/api/comments${status ? `?status=${status}` : ''}`);
+        comments = await response.json();
+        renderComments();
+    } catch (err) {
+        showToast('Failed to load comments', 'error');
+    }
+}
+
+// Render comments table
+function renderComments() {
+    const tbody = document.getElementById('commentsTable');
+    const emptyState = document.getElementById('commentsEmpty');
+    
+    if (comments.length === 0) {
+        tbody.innerHTML = '';
+        emptyState.style.display = 'block';
+        return;
+    }
+    
+    emptyState.style.display = 'none';
+    tbody.innerHTML = comments.map(comment => {
+        const course = courses.find(c => c.id === comment.courseId);
+        return `
+        <tr>
+            <td>${escapeHtml(course ? course.title : comment.courseId)}</td>
+            <td><strong>${escapeHtml(comment.name)}</strong></td>
+            <td class="comment-message">${escapeHtml(comment.message)}</td>
+            <td>${new Date(comment.createdAt).toLocaleDateString()}</td>
+            <td><span class="status-badge ${comment.status}">${escapeHtml(comment.status)}</span></td>
+            <td>
+                <div class="action-btns">
+                    ${can('content:write') && comment.status !== 'approved' ? `
+                    <button class="action-btn edit-btn" onclick="moderateComment('${comment.id}', 'approved')" title="Approve">
+                        <i class="fas fa-check"></i>
+                    </button>` : ''}
+                    ${can('content:write') && comment.status !== 'rejected' ? `
+                    <button class="action-btn key-btn" onclick="moderateComment('${comment.id}', 'rejected')" title="Reject">
+                        <i class="fas fa-ban"></i>
+                    </button>` : ''}
+                    ${can('content:delete') ? `
+                    <button class="action-btn delete-btn" onclick="deleteComment('${comment.id}')" title="Delete">
+                        <i class="fas fa-trash"></i>
+                    </button>` : ''}
+                </div>
+            </td>
+        </tr>
+    `;
+    }).join('');
+}
+
+// Approve or reject a comment
+async function moderateComment(id, status) {
+    try {
+        const response = await apiFetch(`/api/comments/${id}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ status })
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            showToast(`Comment ${status}`, 'success');
+            loadComments();
+        } else {
+            showToast(data.error || 'Failed to update comment', 'error');
+        }
+    } catch (err) {
+        showToast('Failed to update comment', 'error');
+    }
+}
+
+// Delete a comment
+async function deleteComment(id) {
+    if (!confirm('Are you sure you want to delete this comment?')) return;
+    
+    try {
+        const response = await apiFetch(`/api/comments/${id}`, { method: 'DELETE' });
+        const data = await response.json();
+        
+        if (data.success) {
+            showToast('Comment deleted successfully', 'success');
+            loadComments();
+        } else {
+            showToast(data.error || 'Failed to delete comment', 'error');
+        }
+    } catch (err) {
+        showToast('Failed to delete comment', 'error');
+    }
+}
+
+// Name of a category, with its parent for subcategories
+function categoryName(id) {
+    const category = categories.find(c => c.id === id);
+    if (!category) return '';
+    const parent = categories.find(c => c.id === category.parentId);
+    return parent ? `${parent.name} › ${category.name}` : category.name;
+}
+
+// Fill a <select> with categories, indenting subcategories
+function fillCategorySelect(select, emptyLabel, onlyTopLevel = false, excludeId = null) {
+    const options = categories
+        .filter(c => (!onlyTopLevel || !c.parentId) && c.id !== excludeId)
+        .map(c => `<option value="${c.id}">${c.parentId ? '&nbsp;&nbsp;↳ ' : ''}${escapeHtml(c.name)}</option>`);
+    select.innerHTML = `<option value="">${emptyLabel}</option>${options.join('')}`;
+}
+
+// Render categories table
+function renderCategories() {
+    const tbody = document.getElementById('categoriesTable');
+    const emptyState = document.getElementById('categoriesEmpty');
+    
+    if (categories.length === 0) {
+        tbody.innerHTML = '';
+        emptyState.style.display = 'block';
+        return;
+    }
+    
+    emptyState.style.display = 'none';
+    tbody.innerHTML = categories.map(category => `
+        <tr>
+            <td><strong>${category.parentId ? '↳ ' : ''}${escapeHtml(category.name)}</strong></td>
+            <td>${escapeHtml(category.slug)}</td>
+            <td>${escapeHtml(categoryName(category.parentId))}</td>
+            <td>${category.order || 0}</td>
+            <td>
+                <div class="action-btns">
+                    ${can('content:write') ? `
+                    <button class="action-btn edit-btn" onclick="openCategoryModal('${category.id}')">
+                        <i class="fas fa-edit"></i>
+                    </button>` : ''}
+                    ${can('content:delete') ? `
+                    <button class="action-btn delete-btn" onclick="deleteCategory('${category.id}')">
+                        <i class="fas fa-trash"></i>
+                    </button>` : ''}
+                </div>
+            </td>
+        </tr>
+    `).join('');
+}
+
+// Open modal for adding/editing a category
+function openCategoryModal(id = null) {
+    const category = categories.find(c => c.id === id);
+    
+    document.getElementById('categoryForm').reset();
+    clearFieldErrors('categoryForm');
+    document.getElementById('categoryId').value = id || '';
+    document.getElementById('categoryModalTitle').textContent = id ? 'Edit Category' : 'Add New Category';
+    fillCategorySelect(document.getElementById('categoryParent'), '— Top level —', true, id);
+    
+    if (category) {
+        document.getElementById('categoryName').value = category.name;
+        document.getElementById('categorySlug').value = category.slug;
+        document.getElementById('categoryParent').value = category.parentId || '';
+        document.getElementById('categoryOrder').value = category.order || 0;
+        document.getElementById('categoryDescription').value = category.description || '';
+    }
+    
+    document.getElementById('categoryModalOverlay').classList.add('active');
+}
+
+// Close category modal
+function closeCategoryModal() {
+    document.getElementById('categoryModalOverlay').classList.remove('active');
+}
+
+// Save category
+async function saveCategory() {
+    const id = document.getElementById('categoryId').value;
+    const category = {
+        name: document.getElementById('categoryName').value.trim(),
+        slug: document.getElementById('categorySlug').value.trim(),
+        parentId: document.getElementById('categoryParent').value,
+        order: document.getElementById('categoryOrder').value,
+        description: document.getElementById('categoryDescription').value.trim()
+    };
+    
+    if (!category.name) {
+        showToast('Please fill in all required fields', 'error');
+        return;
+    }
+    
+    clearFieldErrors('categoryForm');
+    const saveBtn = document.getElementById('categorySaveBtn');
+    saveBtn.disabled = true;
+    
+    try {
+        const response = await apiFetch(id ? `/api/categories/${id}` : '/api/categories', {
+            method: id ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(category)
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            showToast(`Category ${id ? 'updated' : 'added'} successfully`, 'success');
+            closeCategoryModal();
+            loadData();
+        } else {
+            showFieldErrors(data.errors, {
+                name: 'categoryName',
+                slug: 'categorySlug',
+                parentId: 'categoryParent',
+                order: 'categoryOrder',
+                description: 'categoryDescription'
+            });
+            showToast(data.error || 'Failed to save category', 'error');
+        }
+    } catch (err) {
+        showToast('Failed to save category', 'error');
+    } finally {
+        saveBtn.disabled = false;
+    }
+}
+
+// Delete category
+async function deleteCategory(id) {
+    const category = categories.find(c => c.id === id);
+    if (!confirm(`Are you sure you want to delete "${category?.name}"? Its products will become uncategorised.`)) return;
+    
+    try {
+        const response = await apiFetch(`/api/categories/${id}`, { method: 'DELETE' });
+        const data = await response.json();
+        
+        if (data.success) {
+            showToast('Category deleted successfully', 'success');
+            loadData();
+        } else {
+            showToast(data.error || 'Failed to delete category', 'error');
+        }
+    } catch (err) {
+        showToast('Failed to delete category', 'error');
+    }
+}
+
+// Render users table
+function renderUsers() {
+    const tbody = document.getElementById('usersTable');
+    
+    tbody.innerHTML = users.map(user => `
+        <tr>
+            <td><strong>${escapeHtml(user.username)}</strong></td>
+            <td>${escapeHtml(user.name || '')}</td>
+            <td>${escapeHtml(user.role || 'admin')}</td>
+            <td>
+                <span class="status-badge ${user.disabled ? 'muted' : ''}">${user.disabled ? 'Disabled' : 'Active'}</span>
+            </td>
+            <td>
+                <div class="action-btns">
+                    <button class="action-btn edit-btn" onclick="openUserModal('${user.id}')" title="Edit">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button class="action-btn key-btn" onclick="resetUserPassword('${user.id}')" title="Reset password">
+                        <i class="fas fa-key"></i>
+                    </button>
+                    <button class="action-btn delete-btn" onclick="toggleUserDisabled('${user.id}')" title="${user.disabled ? 'Enable' : 'Disable'}">
+                        <i class="fas ${user.disabled ? 'fa-user-check' : 'fa-user-slash'}"></i>
+                    </button>
+                </div>
+            </td>
+        </tr>
+    `).join('');
+}
+
+// Product spec fields used by the sizing calculator, and their inputs
+const SPEC_INPUTS = {
+    watts: 'itemSpecWatts',
+    voltage: 'itemSpecVoltage',
+    ampHours: 'itemSpecAmpHours',
+    kva: 'itemSpecKva'
+};
+
+// API field -> input in the item modal, for showing validation errors
+const ITEM_FIELD_INPUTS = {
+    title: 'itemTitle',
+    description: 'itemDescription',
+    content: 'itemContent',
+    image: 'itemImage',
+    priceAmount: 'itemPrice',
+    currency: 'itemCurrency',
+    saleAmount: 'itemSalePrice',
+    saleStartsAt: 'itemSaleStarts',
+    saleEndsAt: 'itemSaleEnds',
+    categoryId: 'itemCategory',
+    tags: 'itemTags',
+    stockQuantity: 'itemStockQuantity',
+    lowStockThreshold: 'itemLowStockThreshold',
+    specs: 'itemSpecType',
+    status: 'itemStatus',
+    publishAt: 'itemPublishAt'
+};
+
+// Open modal for adding/editing
+function openModal(type, id = null) {
+    editingId = id;
+    const modal = document.getElementById('modalOverlay');
+    const title = document.getElementById('modalTitle');
+    const priceGroup = document.getElementById('priceGroup');
+    const contentGroup = document.getElementById('contentGroup');
+    const itemType = document.getElementById('itemType');
+    
+    document.getElementById('itemForm').reset();
+    clearFieldErrors('itemForm');
+    document.getElementById('imagePreview').innerHTML = '';
+    document.getElementById('itemId').value = '';
+    
+    // New items start as drafts; existing ones show their own status
+    const record = id ? (type === 'product' ? products : courses).find(item => item.id === id) : null;
+    document.getElementById('itemStatus').value = record ? record.status || 'published' : 'draft';
+    document.getElementById('itemPublishAt').value = toLocalInput(record && record.publishAt);
+    
+    if (type === 'product') {
+        title.textContent = id ? 'Edit Product' : 'Add New Product';
+        priceGroup.style.display = 'block';
+        contentGroup.style.display = 'none';
+        document.getElementById('categoryGroup').style.display = 'block';
+        document.getElementById('tagsGroup').style.display = 'block';
+        document.getElementById('stockGroup').style.display = 'block';
+        document.getElementById('specsGroup').style.display = 'block';
+        fillCategorySelect(document.getElementById('itemCategory'), '— No category —');
+        document.getElementById('lessonsGroup').style.display = 'none';
+        itemType.value = 'product';
+        
+        if (id) {
+            const product = products.find(p => p.id === id);
+            if (product) {
+                document.getElementById('itemId').value = product.id;
+                document.getElementById('itemTitle').value = product.title;
+                document.getElementById('itemPrice').value = toMajorUnits(product.priceAmount);
+                document.getElementById('itemCurrency').value = product.currency || 'NGN';
+                document.getElementById('itemCategory').value = product.categoryId || '';
+                document.getElementById('itemTags').value = (product.tags || []).join(', ');
+                document.getElementById('itemPriceOnRequest').checked = !!product.priceOnRequest;
+                document.getElementById('itemSalePrice').value = toMajorUnits(product.saleAmount);
+                document.getElementById('itemSaleStarts').value = (product.saleStartsAt || '').slice(0, 10);
+                document.getElementById('itemSaleEnds').value = (product.saleEndsAt || '').slice(0, 10);
+                document.getElementById('itemStockQuantity').value = product.stockQuantity ?? '';
+                document.getElementById('itemLowStockThreshold').value = product.lowStockThreshold ?? 5;
+                document.getElementById('itemAllowPreorder').checked = !!product.allowPreorder;
+                
+                const specs = product.specs || {};
+                document.getElementById('itemSpecType').value = specs.type || '';
+                Object.entries(SPEC_INPUTS).forEach(([field, inputId]) => {
+                    document.getElementById(inputId).value = specs[field] ?? '';
+                });
+                document.getElementById('itemDescription').value = product.description || '';
+                
+                if (product.image) {
+                    document.getElementById('imagePreview').innerHTML = `
+                        <img src="${product.image}" alt="Current image">
+                    `;
+                }
+            }
+        }
+    } else {
+        title.textContent = id ? 'Edit Course' : 'Add New Course';
+        priceGroup.style.display = 'none';
+        contentGroup.style.display = 'block';
+        document.getElementById('categoryGroup').style.display = 'none';
+        document.getElementById('tagsGroup').style.display = 'none';
+        document.getElementById('stockGroup').style.display = 'none';
+        document.getElementById('specsGroup').style.display = 'none';
+        itemType.value = 'course';
+        document.getElementById('lessonsGroup').style.display = 'block';
+        editingLessons = [];
+        
+        if (id) {
+            const course = courses.find(c => c.id === id);
+            if (course) {
+                document.getElementById('itemId').value = course.id;
+                document.getElementById('itemTitle').value = course.title;
+                document.getElementById('itemDescription').value = course.description || '';
+                document.getElementById('itemContent').value = course.content || '';
+                editingLessons = course.lessons || [];
+                
+                if (course.image) {
+                    document.getElementById('imagePreview').innerHTML = `
+                        <img src="${course.image}" alt="Current image">
+                    `;
+                }
+            }
+        }
+    }
+    
+    resetLessonEditor();
+    renderLessons();
+    document.getElementById('historyGroup').style.display = id ? 'block' : 'none';
+    if (id) loadRevisions(type, id);
+    modal.classList.add('active');
+}
+
+// Load the revision history of the item being edited, newest first
+async function loadRevisions(type, id) {
+    const list = document.getElementById('revisionList');
+    document.getElementById('revisionDiff').innerHTML = '';
+    
+    try {
+        const response = await apiFetch(`/api/${type}s/${id}/revisions?sort=version&order=desc`);
+        const { items } = await response.json();
+        
+        list.innerHTML = items.length === 0 ? '<li><span>No changes recorded yet.</span></li>' : items.map(revision => `
+            <li>
+                <span>
+                    <strong>Version ${revision.version}</strong>${revision.note ? ` — ${escapeHtml(revision.note)}` : ''}
+                    <small>${escapeHtml(revision.username || '—')}, ${new Date(revision.createdAt).toLocaleString()}${revision.fields.length ? ` · ${escapeHtml(revision.fields.join(', '))}` : ''}</small>
+                </span>
+                <div class="action-btns">
+                    <button type="button" class="action-btn key-btn" onclick="compareRevision('${type}', '${id}', ${revision.version})" title="Compare with current">
+                        <i class="fas fa-code-compare"></i>
+                    </button>
+                    ${can('content:write') ? `
+                    <button type="button" class="action-btn edit-btn" onclick="rollbackRevision('${type}', '${id}', ${revision.version})" title="Roll back to this version">
+                        <i class="fas fa-undo"></i>
+                    </button>` : ''}
+                </div>
+            </li>
+        `).join('');
+    } catch (err) {
+        list.innerHTML = '';
+        showToast('Failed to load history', 'error');
+    }
+}
+
+// Show what changed between a version and the item as it is now
+async function compareRevision(type, id, version) {
+    const diff = document.getElementById('revisionDiff');
+    
+    try {
+        const response = await apiFetch(`/api/${type}s/${id}/revisions/diff?from=${version}`);
+        const data = await response.json();
+        if (!response.ok) return showToast(data.error || 'Failed to compare', 'error');
+        
+        const changes = Object.entries(data.changes);
+        diff.innerHTML = `<li><strong>Version ${version} → now</strong></li>` + (changes.length === 0
+            ? '<li>No differences.</li>'
+            : changes.map(([field, change]) => `<li><strong>${escapeHtml(field)}</strong>: ${escapeHtml(formatAuditValue(change.from))} → ${escapeHtml(formatAuditValue(change.to))}</li>`).join(''));
+    } catch (err) {
+        showToast('Failed to compare', 'error');
+    }
+}
+
+// Put the item back the way a version had it; saved as a new version
+async function rollbackRevision(type, id, version) {
+    if (!confirm(`Roll back to version ${version}? The current version stays in the history.`)) return;
+    
+    try {
+        const response = await apiFetch(`/api/${type}s/${id}/revisions/${version}/rollback`, { method: 'POST' });
+        const data = await response.json();
+        
+        if (data.success) {
+            showToast(`Rolled back to version ${version}`, 'success');
+            closeModal();
+            loadData();
+        } else {
+            showToast(data.error || 'Failed to roll back', 'error');
+        }
+    } catch (err) {
+        showToast('Failed to roll back', 'error');
+    }
+}
+
+// Render the lesson list of the course being edited
+function renderLessons() {
+    const list = document.getElementById('lessonList');
+    const isSaved = !!editingId;
+    
+    document.getElementById('lessonsHint').style.display = isSaved ? 'none' : 'block';
+    document.getElementById('lessonEditor').style.display = isSaved ? 'flex' : 'none';
+    
+    list.innerHTML = editingLessons.map((lesson, index) => `
+        <li>
+            <span>
+                <strong>${index + 1}. ${escapeHtml(lesson.title)}</strong>
+                <small>${lesson.duration ? `${lesson.duration} min` : ''}${lesson.video ? ' · video' : ''}</small>
+            </span>
+            <div class="action-btns">
+                <button type="button" class="action-btn edit-btn" onclick="moveLesson('${lesson.id}', -1)" ${index === 0 ? 'disabled' : ''}>
+                    <i class="fas fa-arrow-up"></i>
+                </button>
+                <button type="button" class="action-btn edit-btn" onclick="moveLesson('${lesson.id}', 1)" ${index === editingLessons.length - 1 ? 'disabled' : ''}>
+                    <i class="fas fa-arrow-down"></i>
+                </button>
+                <button type="button" class="action-btn edit-btn" onclick="editLesson('${lesson.id}')">
+                    <i class="fas fa-edit"></i>
+                </button>
+                <button type="button" class="action-btn delete-btn" onclick="removeLesson('${lesson.id}')">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+        </li>
+    `).join('');
+}
+
+// Clear the lesson editor back to "add" mode
+function resetLessonEditor() {
+    ['lessonId', 'lessonTitle', 'lessonVideo', 'lessonDuration', 'lessonBody'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    document.getElementById('lessonSaveBtn').textContent = 'Add Lesson';
+}
+
+// Load a lesson into the editor
+function editLesson(lessonId) {
+    const lesson = editingLessons.find(l => l.id === lessonId);
+    if (!lesson) return;
+    
+    document.getElementById('lessonId').value = lesson.id;
+    document.getElementById('lessonTitle').value = lesson.title;
+    document.getElementById('lessonVideo').value = lesson.video || '';
+    document.getElementById('lessonDuration').value = lesson.duration || '';
+    document.getElementById('lessonBody').value = lesson.body || '';
+    document.getElementById('lessonSaveBtn').textContent = 'Update Lesson';
+}
+
+// Send a lesson request and refresh the list from its response
+async function lessonRequest(path, method, body) {
+    try {
+        const response = await apiFetch(`/api/courses/${editingId}/lessons${path}`, {
+            method: method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            editingLessons = data.lessons;
+            const course = courses.find(c => c.id === editingId);
+            if (course) course.lessons = data.lessons;
+            renderLessons();
+            return true;
+        }
+        showToast(data.error || 'Failed to update lessons', 'error');
+    } catch (err) {
+        showToast('Failed to update lessons', 'error');
+    }
+    return false;
+}
+
+// Add or update the lesson in the editor
+async function saveLesson() {
+    const lessonId = document.getElementById('lessonId').value;
+    const lesson = {
+        title: document.getElementById('lessonTitle').value.trim(),
+        video: document.getElementById('lessonVideo').value.trim(),
+        duration: document.getElementById('lessonDuration').value,
+        body: document.getElementById('lessonBody').value
+    };
+    
+    if (!lesson.title) {
+        showToast('Please enter a lesson title', 'error');
+        return;
+    }
+    
+    const saved = lessonId
+        ? await lessonRequest(`/${lessonId}`, 'PUT', lesson)
+        : await lessonRequest('', 'POST', lesson);
+    
+    if (saved) resetLessonEditor();
+}
+
+// Remove a lesson
+async function removeLesson(lessonId) {
+    const lesson = editingLessons.find(l => l.id === lessonId);
+    if (!confirm(`Remove lesson "${lesson?.title}"?`)) return;
+    
+    await lessonRequest(`/${lessonId}`, 'DELETE');
+}
+
+// Move a lesson one place up (-1) or down (1)
+async function moveLesson(lessonId, direction) {
+    const order = editingLessons.map(l => l.id);
+    const index = order.indexOf(lessonId);
+    const target = index + direction;
+    if (index === -1 || target < 0 || target >= order.length) return;
+    
+    [order[index], order[target]] = [order[target], order[index]];
+    await lessonRequest('/order', 'PUT', { order });
+}
+
+// Close modal
+function closeModal() {
+    document.getElementById('modalOverlay').classList.remove('active');
+    editingId = null;
+}
+
+// Edit item
+function editItem(type, id) {
+    openModal(type, id);
+}
+
+// Delete item
+async function deleteItem(type, id) {
+    const item = type === 'product' 
+        ? products.find(p => p.id === id)
+        : courses.find(c => c.id === id);
+    
+    const confirmDelete = confirm(`Move "${item?.title}" to the trash?`);
+    
+    if (!confirmDelete) return;
+    
+    try {
+        const response = await apiFetch(`/api/${type}s/${id}`, {
+            method: 'DELETE'
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            showToast(`${type === 'product' ? 'Product' : 'Course'} moved to the trash`, 'success');
+            loadData(); // Reload data
+        } else {
+            showToast(data.error || 'Failed to delete', 'error');
+        }
+    } catch (err) {
+        showToast('Failed to delete item', 'error');
+    }
+}
+
+// Save item
+async function saveItem() {
+    const type = document.getElementById('itemType').value;
+    const id = document.getElementById('itemId').value;
+    const title = document.getElementById('itemTitle').value.trim();
+    const description = document.getElementById('itemDescription').value.trim();
+    const imageFile = document.getElementById('itemImage').files[0];
+    
+    // Validation
+    if (!title || !description) {
+        showToast('Please fill in all required fields', 'error');
+        return;
+    }
+    
+    const saveBtn = document.getElementById('saveBtn');
+    const btnText = saveBtn.querySelector('.btn-text');
+    btnText.innerHTML = '<span class="loading-spinner"></span> Saving...';
+    saveBtn.disabled = true;
+    
+    clearFieldErrors('itemForm');
+    const publishAt = document.getElementById('itemPublishAt').value;
+    
+    const formData = new FormData();
+    formData.append('title', title);
+    formData.append('description', description);
+    formData.append('status', document.getElementById('itemStatus').value);
+    formData.append('publishAt', publishAt ? new Date(publishAt).toISOString() : '');
+    
+    if (type === 'product') {
+        formData.append('categoryId', document.getElementById('itemCategory').value);
+        formData.append('tags', document.getElementById('itemTags').value);
+        formData.append('priceAmount', toMinorUnits(document.getElementById('itemPrice').value));
+        formData.append('currency', document.getElementById('itemCurrency').value);
+        formData.append('priceOnRequest', document.getElementById('itemPriceOnRequest').checked);
+        formData.append('saleAmount', toMinorUnits(document.getElementById('itemSalePrice').value));
+        formData.append('saleStartsAt', document.getElementById('itemSaleStarts').value);
+        formData.append('saleEndsAt', document.getElementById('itemSaleEnds').value);
+        formData.append('stockQuantity', document.getElementById('itemStockQuantity').value);
+        formData.append('lowStockThreshold', document.getElementById('itemLowStockThreshold').value);
+        formData.append('allowPreorder', document.getElementById('itemAllowPreorder').checked);
+        
+        const specs = { type: document.getElementById('itemSpecType').value };
+        Object.entries(SPEC_INPUTS).forEach(([field, inputId]) => {
+            specs[field] = document.getElementById(inputId).value;
+        });
+        formData.append('specs', JSON.stringify(specs));
+    } else {
+        formData.append('content', document.getElementById('itemContent').value.trim());
+        
+        // Keep the original date when editing
+        if (!id) {
+            formData.append('date', new Date().toLocaleDateString('en-US', { 
+                month: 'short', 
+                day: 'numeric', 
+                year: 'numeric' 
+            }));
+        }
+    }
+    
+    if (imageFile) {
+        formData.append('image', imageFile);
+    }
+    
+    try {
+        const url = id ? `/api/${type}s/${id}` : `/api/${type}s`;
+        const method = id ? 'PUT' : 'POST';
+        
+        const response = await apiFetch(url, {
+            method: method,
+            body: formData
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            showToast(`${type === 'product' ? 'Product' : 'Course'} ${id ? 'updated' : 'added'} successfully`, 'success');
+            closeModal();
+            loadData(); // Reload data
+        } else {
+            showFieldErrors(data.errors, ITEM_FIELD_INPUTS);
+            showToast(data.error || 'Failed to save', 'error');
+        }
+    } catch (err) {
+        showToast('Failed to save item', 'error');
+    } finally {
+        btnText.textContent = 'Save';
+        saveBtn.disabled = false;
+    }
+}
+
+// Open modal for adding/editing a user
+function openUserModal(id = null) {
+    document.getElementById('userForm').reset();
+    clearFieldErrors('userForm');
+    document.getElementById('userId').value = id || '';
+    document.getElementById('userModalTitle').textContent = id ? 'Edit User' : 'Add New User';
+    document.getElementById('userUsername').disabled = !!id;
+    document.getElementById('userPasswordGroup').style.display = id ? 'none' : 'block';
+    
+    if (id) {
+        const user = users.find(u => u.id === id);
+        if (user) {
+            document.getElementById('userUsername').value = user.username;
+            document.getElementById('userName').value = user.name || '';
+            document.getElementById('userRole').value = user.role || 'admin';
+        }
+    }
+    
+    document.getElementById('userModalOverlay').classList.add('active');
+}
+
+// Close user modal
+function closeUserModal() {
+    document.getElementById('userModalOverlay').classList.remove('active');
+}
+
+// Save user
+async function saveUser() {
+    const id = document.getElementById('userId').value;
+    const username = document.getElementById('userUsername').value.trim();
+    const name = document.getElementById('userName').value.trim();
+    const role = document.getElementById('userRole').value;
+    const password = document.getElementById('userPassword').value;
+    
+    if (!username || (!id && !password)) {
+        showToast('Please fill in all required fields', 'error');
+        return;
+    }
+    
+    clearFieldErrors('userForm');
+    const saveBtn = document.getElementById('userSaveBtn');
+    saveBtn.disabled = true;
+    
+    try {
+        const response = await apiFetch(id ? `/api/users/${id}` : '/api/users', {
+            method: id ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(id ? { name, role } : { username, name, role, password })
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            showToast(`User ${id ? 'updated' : 'added'} successfully`, 'success');
+            closeUserModal();
+            loadData();
+        } else {
+            showFieldErrors(data.errors, {
+                username: 'userUsername',
+                name: 'userName',
+                role: 'userRole',
+                password: 'userPassword'
+            });
+            showToast(data.error || 'Failed to save user', 'error');
+        }
+    } catch (err) {
+        showToast('Failed to save user', 'error');
+    } finally {
+        saveBtn.disabled = false;
+    }
+}
+
+// Disable or re-enable a user
+async function toggleUserDisabled(id) {
+    const user = users.find(u => u.id === id);
+    if (!user) return;
+    
+    const action = user.disabled ? 'enable' : 'disable';
+    if (!confirm(`Are you sure you want to ${action} "${user.username}"?`)) return;
+    
+    try {
+        const response = await apiFetch(`/api/users/${id}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ disabled: !user.disabled })
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            showToast(`User ${action}d successfully`, 'success');
+            loadData();
+        } else {
+            showToast(data.error || `Failed to ${action} user`, 'error');
+        }
+    } catch (err) {
+        showToast(`Failed to ${action} user`, 'error');
+    }
+}
+
+// Set a new password for another user
+async function resetUserPassword(id) {
+    const user = users.find(u => u.id === id);
+    const password = prompt(`Enter a new password for "${user?.username}" (at least 8 characters):`);
     
-    const formData = new FormData();
-    formData.append('title', title);
-    formData.append('description', description);
+    if (!password) return;
     
-    if (type === 'product') {
-        formData.append('price', document.getElementById('itemPrice').value.trim());
-    } else {
-        formData.append('content', document.getElementById('itemContent').value.trim());
-        formData.append('date', new Date().toLocaleDateString('en-US', { 
-            month: 'short', 
-            day: 'numeric', 
-            year: 'numeric' 
-        }));
-        formData.append('comments', 0);
+    try {
+        const response = await apiFetch(`/api/users/${id}/reset-password`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ password })
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            showToast('Password reset successfully', 'success');
+        } else {
+            showToast(data.error || 'Failed to reset password', 'error');
+        }
+    } catch (err) {
+        showToast('Failed to reset password', 'error');
     }
+}
+
+// Open the change password modal; a forced change can't be dismissed
+function openPasswordModal(forced) {
+    document.getElementById('passwordForm').reset();
+    document.getElementById('passwordNotice').style.display = forced ? 'block' : 'none';
+    document.getElementById('passwordModalClose').style.display = forced ? 'none' : '';
+    document.getElementById('passwordCancelBtn').style.display = forced ? 'none' : '';
+    document.getElementById('passwordModalOverlay').classList.add('active');
+}
+
+// List the browsers the current user is logged in on
+async function openSessionsModal() {
+    const list = document.getElementById('sessionsList');
+    list.innerHTML = '';
+    document.getElementById('sessionsModalOverlay').classList.add('active');
     
-    if (imageFile) {
-        formData.append('image', imageFile);
+    try {
+        const response = await apiFetch('/api/auth/sessions');
+        const sessions = await response.json();
+        
+        list.innerHTML = sessions.map(session => `
+            <li>
+                <span>
+                    <strong>${escapeHtml(session.userAgent || 'Unknown browser')}</strong>
+                    ${session.current ? '<span class="status-badge">This browser</span>' : ''}
+                    ${session.type === 'token' ? '<span class="status-badge muted">Token login</span>' : ''}
+                    <br><small>${escapeHtml(session.ip || '')} · logged in ${new Date(session.createdAt).toLocaleString()}</small>
+                </span>
+                <small>Last active ${new Date(session.lastSeenAt).toLocaleString()}</small>
+            </li>
+        `).join('');
+        document.getElementById('logoutOthersBtn').disabled = sessions.length <= 1;
+    } catch (err) {
+        showToast('Failed to load sessions', 'error');
     }
+}
+
+function closeSessionsModal() {
+    document.getElementById('sessionsModalOverlay').classList.remove('active');
+}
+
+// End every session of this user except the current one
+async function logoutOtherSessions() {
+    if (!confirm('Log out of every other browser and device?')) return;
     
     try {
-        const url = id ? `/api/${type}s/${id}` : `/api/${type}s`;
-        const method = id ? 'PUT' : 'POST';
+        const response = await apiFetch('/api/auth/sessions/logout-others', { method: 'POST' });
+        const data = await response.json();
         
-        const response = await fetch(url, {
-            method: method,
-            body: formData
+        if (data.success) {
+            showToast(`Logged out ${data.count} other session${data.count === 1 ? '' : 's'}`, 'success');
+            openSessionsModal();
+        } else {
+            showToast(data.error || 'Failed to log out other sessions', 'error');
+        }
+    } catch (err) {
+        showToast('Failed to log out other sessions', 'error');
+    }
+}
+
+async function loadApiKeys() {
+    const response = await apiFetch('/api/auth/api-keys');
+    apiKeys = await response.json();
+    renderApiKeys();
+}
+
+function renderApiKeys() {
+    const tbody = document.getElementById('apiKeysTable');
+    const formatDate = (iso) => (iso ? new Date(iso).toLocaleDateString() : '-');
+    
+    if (apiKeys.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7">No API keys yet</td></tr>';
+        return;
+    }
+    
+    tbody.innerHTML = apiKeys.map(key => `
+        <tr>
+            <td><strong>${escapeHtml(key.name)}</strong></td>
+            <td>${escapeHtml(key.username || '')}</td>
+            <td>${key.scopes.map(scope => `<span class="status-badge muted">${escapeHtml(scope)}</span>`).join(' ')}</td>
+            <td>${formatDate(key.createdAt)}</td>
+            <td>${key.lastUsedAt ? new Date(key.lastUsedAt).toLocaleString() : 'Never'}</td>
+            <td>${key.expired ? '<span class="status-badge rejected">Expired</span>' : key.expiresAt ? formatDate(key.expiresAt) : 'Never'}</td>
+            <td>
+                <div class="action-btns">
+                    <button class="action-btn delete-btn" onclick="deleteApiKey('${key.id}')" title="Revoke">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </td>
+        </tr>
+    `).join('');
+}
+
+// Scopes offered are the permissions the current user has
+function openApiKeyModal() {
+    document.getElementById('apiKeyForm').reset();
+    document.getElementById('apiKeyForm').style.display = '';
+    clearFieldErrors('apiKeyForm');
+    document.getElementById('apiKeyCreated').style.display = 'none';
+    document.getElementById('apiKeySaveBtn').style.display = '';
+    
+    const scopes = document.getElementById('apiKeyScopes');
+    scopes.querySelectorAll('.checkbox-label').forEach(label => label.remove());
+    scopes.insertAdjacentHTML('beforeend', permissions.map(permission => `
+        <label class="checkbox-label">
+            <input type="checkbox" name="apiKeyScope" value="${escapeHtml(permission)}" ${permission === 'content:read' ? 'checked' : ''}> ${escapeHtml(permission)}
+        </label>
+    `).join(''));
+    
+    document.getElementById('apiKeyModalOverlay').classList.add('active');
+}
+
+function closeApiKeyModal() {
+    document.getElementById('apiKeyToken').value = '';
+    document.getElementById('apiKeyModalOverlay').classList.remove('active');
+}
+
+// Create the key and show it, once
+async function saveApiKey() {
+    const name = document.getElementById('apiKeyName').value.trim();
+    const scopes = [...document.querySelectorAll('input[name="apiKeyScope"]:checked')].map(input => input.value);
+    const expires = document.getElementById('apiKeyExpires').value;
+    
+    if (!name || scopes.length === 0) {
+        showToast('Please give the key a name and at least one scope', 'error');
+        return;
+    }
+    
+    clearFieldErrors('apiKeyForm');
+    const saveBtn = document.getElementById('apiKeySaveBtn');
+    saveBtn.disabled = true;
+    
+    try {
+        const response = await apiFetch('/api/auth/api-keys', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name, scopes, expiresInDays: expires ? Number(expires) : undefined })
         });
+        const data = await response.json();
         
+        if (data.success) {
+            document.getElementById('apiKeyForm').style.display = 'none';
+            saveBtn.style.display = 'none';
+            document.getElementById('apiKeyToken').value = data.token;
+            document.getElementById('apiKeyCreated').style.display = 'block';
+            showToast('API key created', 'success');
+            loadApiKeys();
+        } else {
+            showFieldErrors(data.errors, { name: 'apiKeyName', expiresInDays: 'apiKeyExpires' });
+            showToast(data.error || 'Failed to create API key', 'error');
+        }
+    } catch (err) {
+        showToast('Failed to create API key', 'error');
+    } finally {
+        saveBtn.disabled = false;
+    }
+}
+
+async function deleteApiKey(id) {
+    const key = apiKeys.find(k => k.id === id);
+    if (!confirm(`Revoke the API key "${key ? key.name : id}"? Scripts using it will stop working.`)) return;
+    
+    try {
+        const response = await apiFetch(`/api/auth/api-keys/${id}`, { method: 'DELETE' });
         const data = await response.json();
         
         if (data.success) {
-            showToast(`${type === 'product' ? 'Product' : 'Course'} ${id ? 'updated' : 'added'} successfully`, 'success');
-            closeModal();
-            loadData(); // Reload data
+            showToast('API key revoked', 'success');
+            loadApiKeys();
         } else {
-            showToast(data.error || 'Failed to save', 'error');
+            showToast(data.error || 'Failed to revoke API key', 'error');
         }
     } catch (err) {
-        showToast('Failed to save item', 'error');
+        showToast('Failed to revoke API key', 'error');
+    }
+}
+
+// Close change password modal
+function closePasswordModal() {
+    document.getElementById('passwordModalOverlay').classList.remove('active');
+}
+
+// Change own password
+async function changePassword() {
+    const currentPassword = document.getElementById('currentPassword').value;
+    const newPassword = document.getElementById('newPassword').value;
+    const confirmPassword = document.getElementById('confirmPassword').value;
+    
+    if (!currentPassword || !newPassword) {
+        showToast('Please fill in all required fields', 'error');
+        return;
+    }
+    
+    if (newPassword !== confirmPassword) {
+        showToast('New passwords do not match', 'error');
+        return;
+    }
+    
+    const saveBtn = document.getElementById('passwordSaveBtn');
+    saveBtn.disabled = true;
+    
+    try {
+        const response = await apiFetch('/api/users/me/password', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ currentPassword, newPassword })
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            showToast('Password changed successfully', 'success');
+            closePasswordModal();
+        } else {
+            showToast(data.error || 'Failed to change password', 'error');
+        }
+    } catch (err) {
+        showToast('Failed to change password', 'error');
+    } finally {
+        saveBtn.disabled = false;
+    }
+}
+
+// Render trash table
+function renderTrash() {
+    const tbody = document.getElementById('trashTable');
+    const emptyState = document.getElementById('trashEmpty');
+    
+    if (trashEntries.length === 0) {
+        tbody.innerHTML = '';
+        emptyState.style.display = 'block';
+        return;
+    }
+    
+    emptyState.style.display = 'none';
+    tbody.innerHTML = trashEntries.map(entry => `
+        <tr>
+            <td><span class="status-badge muted">${entry.type === 'product' ? 'Product' : 'Course'}</span></td>
+            <td>
+                <strong>${escapeHtml(entry.title)}</strong>
+                ${entry.relatedCount ? `<div class="form-hint">and ${entry.relatedCount} ${entry.type === 'product' ? 'stock record' : 'comment'}${entry.relatedCount === 1 ? '' : 's'}</div>` : ''}
+            </td>
+            <td>${escapeHtml(entry.username || '—')}</td>
+            <td>${new Date(entry.createdAt).toLocaleString()}</td>
+            <td>${new Date(entry.purgeAt).toLocaleDateString()}</td>
+            <td>
+                ${can('content:delete') ? `
+                <div class="action-btns">
+                    <button class="action-btn edit-btn" onclick="restoreTrash('${entry.id}')" title="Restore">
+                        <i class="fas fa-undo"></i>
+                    </button>
+                    <button class="action-btn delete-btn" onclick="purgeTrash('${entry.id}')" title="Delete permanently">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>` : ''}
+            </td>
+        </tr>
+    `).join('');
+}
+
+// Put a trashed product or course back
+async function restoreTrash(id) {
+    try {
+        const response = await apiFetch(`/api/trash/${id}/restore`, { method: 'POST' });
+        const data = await response.json();
+        
+        if (data.success) {
+            showToast('Restored', 'success');
+            loadData();
+        } else {
+            showToast(data.error || 'Failed to restore', 'error');
+        }
+    } catch (err) {
+        showToast('Failed to restore', 'error');
+    }
+}
+
+// Delete a trashed item for good, image included
+async function purgeTrash(id) {
+    const entry = trashEntries.find(e => e.id === id);
+    if (!confirm(`Permanently delete "${entry?.title}"? This cannot be undone.`)) return;
+    
+    try {
+        const response = await apiFetch(`/api/trash/${id}`, { method: 'DELETE' });
+        const data = await response.json();
+        
+        if (data.success) {
+            showToast('Deleted permanently', 'success');
+            loadData();
+        } else {
+            showToast(data.error || 'Failed to delete', 'error');
+        }
+    } catch (err) {
+        showToast('Failed to delete', 'error');
+    }
+}
+
+// Render audit log table
+function renderAudit() {
+    const tbody = document.getElementById('auditTable');
+    const emptyState = document.getElementById('auditEmpty');
+    
+    if (auditEntries.length === 0) {
+        tbody.innerHTML = '';
+        emptyState.style.display = 'block';
+        return;
+    }
+    
+    emptyState.style.display = 'none';
+    tbody.innerHTML = auditEntries.map(entry => {
+        const changes = Object.entries(entry.changes || {});
+        return `
+        <tr>
+            <td>${new Date(entry.createdAt).toLocaleString()}</td>
+            <td><strong>${escapeHtml(entry.username || '—')}</strong></td>
+            <td><span class="status-badge ${entry.action === 'auth.login_failed' ? 'rejected' : 'muted'}">${escapeHtml(entry.action)}</span></td>
+            <td>${escapeHtml(entry.targetId || '')}</td>
+            <td>${escapeHtml(entry.ip || '')}</td>
+            <td>
+                ${changes.length === 0 ? '' : `
+                <details class="audit-changes">
+                    <summary>${changes.length} field${changes.length === 1 ? '' : 's'}</summary>
+                    <ul>
+                        ${changes.map(([field, change]) => `<li><strong>${escapeHtml(field)}</strong>: ${change.changed
+                            ? 'changed'
+                            : `${escapeHtml(formatAuditValue(change.from))} → ${escapeHtml(formatAuditValue(change.to))}`}</li>`).join('')}
+                    </ul>
+                </details>`}
+            </td>
+        </tr>
+    `;
+    }).join('');
+}
+
+// Short text for a logged value
+function formatAuditValue(value) {
+    if (value === undefined || value === null || value === '') return '∅';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return text.length > 80 ? `${text.slice(0, 80)}…` : text;
+}
+
+// Download the filtered audit log as CSV
+function exportAudit() {
+    window.location.href = `/api/audit/export?${listParams('audit')}`;
+}
+
+// Download every product or course as CSV or JSON
+function exportRecords(plural, format) {
+    window.location.href = `/api/${plural}/export?format=${format}`;
+}
+
+// Badge class and label for each import row result
+const IMPORT_ACTIONS = {
+    create: ['new', 'New'],
+    update: ['pending', 'Update'],
+    unchanged: ['muted', 'No change'],
+    error: ['rejected', 'Error']
+};
+
+// Upload the chosen file; nothing is written unless `apply` is set
+async function sendImport(apply) {
+    const file = document.getElementById('importFile').files[0];
+    if (!file) {
+        showToast('Choose a CSV or JSON file first', 'error');
+        return null;
+    }
+    
+    const formData = new FormData();
+    if (apply) formData.append('apply', 'true');
+    formData.append('file', file);
+    
+    const response = await apiFetch('/api/products/import', { method: 'POST', body: formData });
+    return response.json();
+}
+
+function renderImportPreview(data) {
+    const { summary } = data;
+    const pending = summary.create + summary.update;
+    
+    const applyBtn = document.getElementById('importApplyBtn');
+    applyBtn.style.display = !data.applied && summary.error === 0 && pending > 0 ? '' : 'none';
+    applyBtn.innerHTML = `<i class="fas fa-file-import"></i> Import ${pending} product${pending === 1 ? '' : 's'}`;
+    
+    const rows = data.rows.map(row => {
+        const [badge, label] = IMPORT_ACTIONS[row.action];
+        const details = row.errors.length > 0
+            ? `<ul>${row.errors.map(e => `<li class="field-error">${escapeHtml(e.message)}</li>`).join('')}</ul>`
+            : row.fields && row.fields.length > 0 ? `Changes ${escapeHtml(row.fields.join(', '))}` : '';
+        return `
+            <tr>
+                <td>${row.row}</td>
+                <td><strong>${escapeHtml(row.title || '—')}</strong></td>
+                <td><span class="status-badge ${badge}">${label}</span></td>
+                <td>${details}</td>
+            </tr>
+        `;
+    }).join('');
+    
+    document.getElementById('importPreview').innerHTML = `
+        <p>
+            ${data.applied ? 'Imported' : 'Found'}: ${summary.create} new, ${summary.update} ${data.applied ? 'updated' : 'to update'},
+            ${summary.unchanged} unchanged, ${summary.error} with errors
+        </p>
+        ${data.ignoredColumns.length > 0 ? `<p class="form-hint">Ignored columns: ${escapeHtml(data.ignoredColumns.join(', '))}</p>` : ''}
+        <div class="table-wrapper">
+            <table>
+                <thead>
+                    <tr>
+                        <th>Row</th>
+                        <th>Product</th>
+                        <th>Result</th>
+                        <th>Details</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+// Check the file and show what importing it would do
+async function previewImport() {
+    try {
+        const data = await sendImport(false);
+        if (!data) return;
+        
+        if (data.rows) {
+            renderImportPreview(data);
+        } else {
+            document.getElementById('importPreview').innerHTML = '';
+            document.getElementById('importApplyBtn').style.display = 'none';
+            showToast(data.error || 'Could not read the file', 'error');
+        }
+    } catch (err) {
+        showToast('Could not check the file', 'error');
+    }
+}
+
+// Import the checked file in one go
+async function applyImport() {
+    if (!confirm('Import these products? New products are created and matching ones updated.')) return;
+    
+    const applyBtn = document.getElementById('importApplyBtn');
+    applyBtn.disabled = true;
+    
+    try {
+        const data = await sendImport(true);
+        if (!data) return;
+        if (data.rows) renderImportPreview(data);
+        
+        if (data.applied) {
+            showToast(`Imported ${data.summary.create} new and ${data.summary.update} updated products`, 'success');
+            loadData();
+        } else {
+            showToast(data.error || 'Import failed', 'error');
+        }
+    } catch (err) {
+        showToast('Import failed', 'error');
+    } finally {
+        applyBtn.disabled = false;
+    }
+}
+
+// Fill the settings form
+function renderSettings(settings) {
+    document.getElementById('settingsBusinessName').value = settings.businessName || '';
+    document.getElementById('settingsWhatsappNumber').value = settings.whatsappNumber || '';
+    document.getElementById('settingsContactEmail').value = settings.contactEmail || '';
+    document.getElementById('settingsProductTemplate').value = settings.messageTemplates.product;
+    document.getElementById('settingsEnquiryTemplate').value = settings.messageTemplates.enquiry;
+    document.getElementById('settingsAllowedOrigins').value = (settings.allowedOrigins || []).join('\n');
+    document.getElementById('settingsTrashRetentionDays').value = settings.trashRetentionDays;
+    document.querySelectorAll('[data-social]').forEach(input => {
+        input.value = settings.socialLinks[input.dataset.social] || '';
+    });
+}
+
+// Save settings
+async function saveSettings() {
+    const socialLinks = {};
+    document.querySelectorAll('[data-social]').forEach(input => {
+        socialLinks[input.dataset.social] = input.value.trim();
+    });
+    
+    const settings = {
+        businessName: document.getElementById('settingsBusinessName').value.trim(),
+        whatsappNumber: document.getElementById('settingsWhatsappNumber').value.trim(),
+        contactEmail: document.getElementById('settingsContactEmail').value.trim(),
+        messageTemplates: {
+            product: document.getElementById('settingsProductTemplate').value.trim(),
+            enquiry: document.getElementById('settingsEnquiryTemplate').value.trim()
+        },
+        allowedOrigins: document.getElementById('settingsAllowedOrigins').value,
+        trashRetentionDays: document.getElementById('settingsTrashRetentionDays').value,
+        socialLinks
+    };
+    
+    const saveBtn = document.getElementById('settingsSaveBtn');
+    saveBtn.disabled = true;
+    
+    try {
+        const response = await apiFetch('/api/settings', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(settings)
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            showToast('Settings saved successfully', 'success');
+            renderSettings(data.settings);
+        } else {
+            showToast(data.error || 'Failed to save settings', 'error');
+        }
+    } catch (err) {
+        showToast('Failed to save settings', 'error');
     } finally {
-        btnText.textContent = 'Save';
         saveBtn.disabled = false;
     }
 }
 
+// Rebuild product WhatsApp links from the saved number and template
+async function regenerateLinks() {
+    if (!confirm('Regenerate the WhatsApp link of every product from the saved settings? Custom links that are not WhatsApp links are kept.')) return;
+    
+    try {
+        const response = await apiFetch('/api/settings/regenerate-links', { method: 'POST' });
+        const data = await response.json();
+        
+        if (data.success) {
+            showToast(`Updated ${data.updated} product links`, 'success');
+            loadData();
+        } else {
+            showToast(data.error || 'Failed to regenerate links', 'error');
+        }
+    } catch (err) {
+        showToast('Failed to regenerate links', 'error');
+    }
+}
+
+// Prices are stored in minor units (kobo); the form works in naira
+function toMinorUnits(value) {
+    const amount = parseFloat(value);
+    return Number.isFinite(amount) ? String(Math.round(amount * 100)) : '';
+}
+
+function toMajorUnits(amount) {
+    return amount === null || amount === undefined ? '' : amount / 100;
+}
+
+// ISO time as a datetime-local input value, in the browser's time zone
+function toLocalInput(iso) {
+    if (!iso) return '';
+    const date = new Date(iso);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+// Show a 400 response's field errors under the matching inputs.
+// `inputIds` maps API field names to input ids.
+function showFieldErrors(errors, inputIds) {
+    (errors || []).forEach(({ field, message }) => {
+        const input = document.getElementById(inputIds[field]);
+        if (!input) return;
+        
+        // Hidden file inputs show the error under their drop zone
+        const anchor = input.closest('.file-input') || input;
+        const note = document.createElement('p');
+        note.className = 'field-error';
+        note.textContent = message;
+        anchor.classList.add('invalid');
+        anchor.insertAdjacentElement('afterend', note);
+    });
+}
+
+function clearFieldErrors(formId) {
+    const form = document.getElementById(formId);
+    form.querySelectorAll('.field-error').forEach(note => note.remove());
+    form.querySelectorAll('.invalid').forEach(input => input.classList.remove('invalid'));
+}
+
 // Show toast notification
 function showToast(message, type = 'success') {
     const toast = document.getElementById('toast');
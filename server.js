@@ -15,12 +15,37 @@
  */
 
 require('dotenv').config();
+const crypto = require('crypto');
 const express = require('express');
 const session = require('express-session');
 const multer = require('multer');
-const { v4: uuidv4 } = require('uuid');
-const fs = require('fs');
 const path = require('path');
+const { COLLECTIONS, newId, createRepositories } = require('./lib/store');
+const { parseListQuery } = require('./lib/query');
+const { createMediaStore } = require('./lib/media');
+const { roleOf, permissionsFor, can } = require('./lib/permissions');
+const { VIDEO_EXTENSIONS, buildLesson, insertLesson, reorderLessons } = require('./lib/lessons');
+const { HONEYPOT_FIELD: COMMENT_HONEYPOT, checkComment, publicComment } = require('./lib/comments');
+const { createRateLimiter, createLockout } = require('./lib/throttle');
+const { createSessionStore, presentSession } = require('./lib/sessions');
+const tokens = require('./lib/tokens');
+const { parseOrigins, isOriginPattern, isAllowedOrigin } = require('./lib/origins');
+const csrf = require('./lib/csrf');
+const { HONEYPOT_FIELD: ENQUIRY_HONEYPOT, ENQUIRY_STATUSES, checkEnquiry, buildEnquiryUpdate, buildNote, enquiryMessage } = require('./lib/enquiries');
+const { buildPricing, formatAmount, presentPrice } = require('./lib/pricing');
+const { buildStockSettings, buildAdjustment, presentStock, availability } = require('./lib/inventory');
+const { diffRecords, presentAuditEntry, toCsv } = require('./lib/audit');
+const csv = require('./lib/csv');
+const bulk = require('./lib/bulk');
+const { TRASH_TYPES, trashEntry, isExpired, presentTrashEntry } = require('./lib/trash');
+const { buildRevision, rollbackChanges, presentRevision } = require('./lib/revisions');
+const { PUBLISH_STATUSES, newPreviewToken, buildPublishing, isLive, liveQuery, statusQuery, canPreview, withoutPreviewToken } = require('./lib/publishing');
+const { buildSpecs, checkSizingRequest, recommendSystem, sizingSummary } = require('./lib/sizing');
+const { buildCategory, categoryFamily, sortCategories, normalizeTags } = require('./lib/categories');
+const { withDefaults, buildSettings, fillTemplate, whatsappUrl, isGeneratedLink, productWhatsappLink, publicSettings } = require('./lib/settings');
+const { validate } = require('./lib/validation');
+const schemas = require('./lib/schemas');
+const { DEFAULT_ADMIN_PASSWORD, isHashed, hashPassword, verifyPassword, checkPasswordStrength } = require('./lib/passwords');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -43,6 +68,23 @@ if (useSupabase) {
     console.log('⚠️  Supabase not configured (using local JSON files)');
 }
 
+// One repository per collection, backed by Supabase or the local JSON files
+const db = createRepositories({ supabaseClient, dataDir: path.join(__dirname, 'data') });
+
+// Uploaded images: Supabase Storage bucket, or public/uploads on local disk
+const media = createMediaStore({ supabaseClient, uploadsDir: path.join(__dirname, 'public', 'uploads') });
+
+// Site settings, cached here and reloaded at startup and after each save
+let siteSettings = withDefaults();
+
+async function refreshSettings() {
+    const [stored] = await db.settings.list();
+    siteSettings = withDefaults(stored);
+    return siteSettings;
+}
+
+const settingsLoaded = refreshSettings().catch(err => console.error('Could not load settings:', err.message));
+
 // ========================================================================
 // CORS CONFIGURATION (Important for GitHub Pages!)
 // ========================================================================
@@ -50,14 +92,44 @@ if (useSupabase) {
 // Your GitHub Pages URL - CHANGE THIS to your actual GitHub Pages URL!
 const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
 
+// CLIENT_URL and ALLOWED_ORIGINS (comma-separated, e.g. a staging site or
+// https://*.example.com) are always allowed; more sites can be added in
+// Settings. See lib/origins.js.
+const ENV_ORIGINS = parseOrigins([CLIENT_URL, ...parseOrigins(process.env.ALLOWED_ORIGINS)]).filter(origin => {
+    if (isOriginPattern(origin)) return true;
+    console.log(`⚠️  Ignoring allowed origin "${origin}"; use the form https://example.com or https://*.example.com`);
+    return false;
+});
+
+const allowedOrigins = () => [...ENV_ORIGINS, ...parseOrigins(siteSettings.allowedOrigins)];
+
+const CORS_METHODS = 'GET, POST, PUT, DELETE, OPTIONS';
+const CORS_HEADERS = `Origin, X-Requested-With, Content-Type, Accept, Authorization, ${csrf.CSRF_HEADER}`;
+// Retry-After tells clients how long a login lockout or rate limit lasts
+const CORS_EXPOSED_HEADERS = 'X-Total-Count, Retry-After';
+const PREFLIGHT_MAX_AGE_SECONDS = 600;
+
+// Other origins get no CORS headers at all, so browsers keep their
+// scripts from reading any response
 app.use((req, res, next) => {
-    res.header('Access-Control-Allow-Origin', CLIENT_URL);
-    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
-    res.header('Access-Control-Allow-Credentials', 'true');
+    const origin = req.get('origin');
+    const allowed = isAllowedOrigin(origin, allowedOrigins());
+    
+    // The headers depend on Origin, so caches must keep responses apart
+    res.vary('Origin');
+    if (allowed) {
+        res.header('Access-Control-Allow-Origin', origin);
+        res.header('Access-Control-Allow-Credentials', 'true');
+        res.header('Access-Control-Expose-Headers', CORS_EXPOSED_HEADERS);
+    }
     
-    if (req.method === 'OPTIONS') {
-        return res.sendStatus(200);
+    // Preflight: answered here, before any route or login check
+    if (req.method === 'OPTIONS' && req.get('access-control-request-method')) {
+        if (!allowed) return res.sendStatus(403);
+        res.header('Access-Control-Allow-Methods', CORS_METHODS);
+        res.header('Access-Control-Allow-Headers', CORS_HEADERS);
+        res.header('Access-Control-Max-Age', String(PREFLIGHT_MAX_AGE_SECONDS));
+        return res.sendStatus(204);
     }
     next();
 });
@@ -66,27 +138,102 @@ app.use((req, res, next) => {
 // MIDDLEWARE
 // ========================================================================
 
+// Render sits behind a proxy; trust it so req.ip is the visitor's address
+app.set('trust proxy', 1);
+
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Session
-app.use(session({
-    secret: process.env.JWT_SECRET || 'nk-solar-tech-secret-key-2025',
-    resave: false,
-    saveUninitialized: false,
-    cookie: { secure: false, maxAge: 24 * 60 * 60 * 1000 }
-}));
 app.use(express.static('public'));
-app.use('/videos', express.static(__dirname));
+// Lesson videos live next to server.js; only video files are served from
+// here so data/ and .env can't be fetched through this mount
+app.use('/videos', (req, res, next) => {
+    if (!VIDEO_EXTENSIONS.test(req.path) || req.path.includes('/.')) return res.sendStatus(404);
+    next();
+}, express.static(__dirname, { dotfiles: 'deny' }));
+
+// Session, kept in the sessions collection so logins survive a restart.
+// Registered after the static files so they don't have to load it.
+const SESSION_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+const SESSION_CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+if (!process.env.JWT_SECRET) {
+    console.log('⚠️  JWT_SECRET not set; sessions are signed with a built-in secret and access tokens with a random one');
+}
+
+// Access tokens are signed with JWT_SECRET too. Without it the key is new
+// on every restart, so clients have to use their refresh token again.
+const TOKEN_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+
+const sessionStore = createSessionStore(db.sessions);
 
-// Session
 app.use(session({
+    store: sessionStore,
     secret: process.env.JWT_SECRET || 'nk-solar-tech-secret-key-2025',
     resave: false,
     saveUninitialized: false,
-    cookie: { secure: false, maxAge: 24 * 60 * 60 * 1000 }
+    // 'auto' marks the cookie Secure whenever the request came over HTTPS,
+    // which behind Render's proxy relies on trust proxy above
+    cookie: { secure: 'auto', httpOnly: true, sameSite: 'lax', maxAge: SESSION_MAX_AGE_MS }
 }));
 
+// Token logins (refresh tokens) expire the same way
+const clearExpiredTokenLogins = async () => {
+    const expired = (await db.refreshTokens.list()).filter(login => tokens.isExpired(login));
+    for (const login of expired) await db.refreshTokens.delete(login.id);
+    return expired.length;
+};
+
+const runSessionCleanup = () => Promise.all([sessionStore.clearExpired(), clearExpiredTokenLogins()])
+    .then(([sessions, logins]) => {
+        if (sessions + logins > 0) console.log(`🔑 Removed ${sessions} expired session(s) and ${logins} token login(s)`);
+    })
+    .catch(err => console.error('Session cleanup failed:', err.message));
+
+runSessionCleanup();
+setInterval(runSessionCleanup, SESSION_CLEANUP_INTERVAL_MS).unref();
+
+// Bearer tokens, for clients that can't use the cookie (see lib/tokens.js).
+// A valid one sets req.auth; an invalid one is refused outright rather
+// than treated as no login, so a client knows to refresh it.
+app.use(async (req, res, next) => {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+    if (!match) return next();
+    
+    try {
+        req.auth = await authenticateToken(match[1]);
+    } catch (err) {
+        return next(err);
+    }
+    if (!req.auth) {
+        res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+        return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+    next();
+});
+
+// CSRF protection for logged-in sessions (see lib/csrf.js). Token login
+// routes don't use the session: their answer is only of use to a script
+// that can read it.
+const TOKEN_LOGIN_PATH = /^\/api\/auth\/token(\/|$)/;
+const isSameOrigin = (req, origin) => origin === `${req.protocol}://${req.get('host')}`;
+
+app.use((req, res, next) => {
+    if (csrf.SAFE_METHODS.includes(req.method) || req.auth || TOKEN_LOGIN_PATH.test(req.path)) return next();
+    
+    const hasLogin = !!(req.session && req.session.userId);
+    if (!hasLogin && req.path !== '/api/login') return next();
+    
+    const origin = csrf.requestOrigin(req);
+    if (origin && !isSameOrigin(req, origin) && !isAllowedOrigin(origin, allowedOrigins())) {
+        return res.status(403).json({ success: false, error: 'Requests from this site are not allowed.' });
+    }
+    if (hasLogin && !csrf.matchesCsrfToken(req.get(csrf.CSRF_HEADER), req.session.csrfToken)) {
+        return res.status(403).json({ success: false, error: 'Invalid or missing CSRF token. Reload the page and try again.', csrf: true });
+    }
+    next();
+});
+
 // Multer for file uploads
 const storage = multer.memoryStorage();
 const upload = multer({
@@ -98,7 +245,17 @@ const upload = multer({
         const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
         const mimetype = allowedTypes.test(file.mimetype);
         if (extname && mimetype) return cb(null, true);
-        cb(new Error('Only image files are allowed!'));
+        cb(Object.assign(new Error('Only image files are allowed!'), { status: 400, field: file.fieldname }));
+    }
+});
+
+// Bulk import files (see lib/bulk.js)
+const importUpload = multer({
+    storage: storage,
+    limits: { fileSize: bulk.MAX_IMPORT_BYTES },
+    fileFilter: (req, file, cb) => {
+        if (bulk.IMPORT_EXTENSIONS.test(file.originalname)) return cb(null, true);
+        cb(Object.assign(new Error('Only CSV or JSON files can be imported'), { status: 400, field: file.fieldname }));
     }
 });
 
@@ -106,60 +263,177 @@ const upload = multer({
 // HELPER FUNCTIONS
 // ========================================================================
 
-// Read data from local JSON
-const readData = (filename) => {
+// What a bearer token may do. Sessions and access tokens have all of the
+// user's permissions; an API key only the scopes chosen for it.
+const hasScope = (req, permission) => !req.auth || req.auth.type !== 'apiKey' || req.auth.scopes.includes(permission);
+
+// Whether the request comes from a logged-in session or token. Used to
+// show drafts and exact stock counts; routes that change anything use
+// the middleware below.
+const isLoggedIn = (req) => (req.auth ? hasScope(req, 'content:read') : !!(req.session && req.session.userId));
+
+// API keys record when they were last used, but at most this often
+const API_KEY_TOUCH_INTERVAL_MS = 60 * 60 * 1000;
+
+// { type, user, ... } for a valid bearer token, or null. Access tokens
+// are only good while the token login they came from still exists.
+async function authenticateToken(token) {
+    if (tokens.isApiKey(token)) {
+        const parsed = tokens.parseSecretToken(token.slice(tokens.API_KEY_PREFIX.length));
+        const key = parsed && await db.apiKeys.get(parsed.id);
+        if (!key || tokens.isExpired(key) || !tokens.matchesHash(parsed.secret, key.keyHash)) return null;
+        
+        const user = await db.users.get(key.userId);
+        if (!user || user.disabled) return null;
+        
+        if (!key.lastUsedAt || Date.now() - Date.parse(key.lastUsedAt) > API_KEY_TOUCH_INTERVAL_MS) {
+            await db.apiKeys.update(key.id, { lastUsedAt: new Date().toISOString() });
+        }
+        return { type: 'apiKey', user, keyId: key.id, scopes: key.scopes || [] };
+    }
+    
+    const claims = tokens.verifyAccessToken(token, TOKEN_SECRET);
+    const login = claims && await db.refreshTokens.get(claims.sid);
+    if (!login || login.userId !== claims.sub || tokens.isExpired(login)) return null;
+    
+    const user = await db.users.get(login.userId);
+    if (!user || user.disabled) return null;
+    return { type: 'token', user, tokenId: login.id };
+}
+
+// Logged-in session or token, even a session that still has to change
+// its password. The user is reloaded on every request so role changes
+// and disabled accounts take effect immediately.
+const requireLogin = async (req, res, next) => {
+    if (req.auth) {
+        req.user = req.auth.user;
+        return next();
+    }
+    if (!req.session || !req.session.userId) {
+        return res.status(401).json({ error: 'Unauthorized. Please login.' });
+    }
+    
     try {
-        return JSON.parse(fs.readFileSync(path.join(__dirname, 'data', filename), 'utf8'));
+        const user = await db.users.get(req.session.userId);
+        if (!user || user.disabled) {
+            req.session.destroy();
+            return res.status(401).json({ error: 'Unauthorized. Please login.' });
+        }
+        req.user = user;
+        next();
     } catch (err) {
-        return [];
+        next(err);
     }
 };
 
-// Write data to local JSON
-const writeData = (filename, data) => {
-    fs.writeFileSync(path.join(__dirname, 'data', filename), JSON.stringify(data, null, 2));
+// Auth middleware. Token logins can't be made with the default password,
+// so only sessions are ever asked to change it.
+const requireAuth = [requireLogin, (req, res, next) => {
+    if (!req.auth && req.session.mustChangePassword) {
+        return res.status(403).json({ error: 'Please change your password first.', mustChangePassword: true });
+    }
+    next();
+}];
+
+// For managing one's own account (password, sessions, API keys), which
+// API keys can't do whatever their scopes
+const rejectApiKeys = (req, res, next) => {
+    if (req.auth && req.auth.type === 'apiKey') {
+        return res.status(403).json({ error: 'API keys cannot be used to manage your account.' });
+    }
+    next();
 };
 
-// Upload image to Supabase Storage
-async function uploadToSupabase(buffer, originalName, mimeType) {
-    if (!supabaseClient) throw new Error('Supabase not configured');
-    
-    const fileId = uuidv4();
-    const ext = path.extname(originalName);
-    const filePath = `products/${fileId}${ext}`;
-    
-    const { data, error } = await supabaseClient.storage
-        .from('product-images')
-        .upload(filePath, buffer, { contentType: mimeType });
-    
-    if (error) throw error;
-    
-    const { data: urlData } = supabaseClient.storage
-        .from('product-images')
-        .getPublicUrl(filePath);
-    
-    return urlData.publicUrl;
+// Permission middleware, e.g. requirePermission('content:delete')
+const requirePermission = (permission) => [...requireAuth, (req, res, next) => {
+    if (!can(req.user, permission)) {
+        return res.status(403).json({ error: 'You do not have permission to do that.' });
+    }
+    if (!hasScope(req, permission)) {
+        return res.status(403).json({ error: `This API key does not have the ${permission} scope.` });
+    }
+    next();
+}];
+
+// Public forms have a hidden `field` only bots fill in. A hit gets the
+// usual success answer straight away, before validation could tell the
+// bot which fields it got wrong.
+const dropHoneypot = (field, message) => (req, res, next) => {
+    if (req.body && req.body[field]) return res.json({ success: true, message });
+    next();
+};
+
+// Write an audit entry for `action` on `targetId`, diffing `before` and
+// `after` (null for creates and deletes). `user` defaults to whoever is
+// logged in. A failed write is logged but never fails the request.
+async function recordAudit(req, action, { targetId = null, before = null, after = null, user = req && req.user } = {}) {
+    try {
+        await db.auditLog.create({
+            action,
+            targetId,
+            userId: (user && user.id) || null,
+            username: (user && user.username) || null,
+            changes: diffRecords(before, after),
+            ip: req ? req.ip : null
+        });
+    } catch (err) {
+        console.error(`Audit log write failed (${action}):`, err.message);
+    }
 }
 
-// Delete image from Supabase
-async function deleteFromSupabase(imageUrl) {
-    if (!supabaseClient || !imageUrl) return;
-    
+// Store a revision of a product or course after a change. A record from
+// before revision history first gets its old state stored as version 1.
+// Like audit entries, a failed write is logged and the request goes on.
+async function recordRevision(req, type, before, after, note = '') {
     try {
-        const parts = imageUrl.split('/');
-        const filename = parts.slice(-2).join('/');
-        await supabaseClient.storage.from('product-images').remove([filename]);
+        const { items: [latest] } = await db.revisions.query({ filter: { type, recordId: after.id }, sort: 'version', limit: 1 });
+        let previous = latest || null;
+        if (!previous && before) {
+            previous = await db.revisions.create(buildRevision(type, before, null, null, 'Before revision history'));
+        }
+        
+        const revision = buildRevision(type, after, previous, req.user, note);
+        if (previous && revision.fields.length === 0) return;
+        await db.revisions.create(revision);
     } catch (err) {
-        console.warn('Could not delete image:', err.message);
+        console.error(`Revision write failed (${type} ${after.id}):`, err.message);
     }
 }
 
-// Auth middleware
-const requireAuth = (req, res, next) => {
-    if (req.session && req.session.userId) {
-        next();
-    } else {
-        res.status(401).json({ error: 'Unauthorized. Please login.' });
+// Route handler for a searchable, sortable, paginated collection list.
+// `present(record, req)` shapes each record for the response;
+// `filters(req)` may add collection-specific { filter, has } options or
+// return { error }. For `publishable` collections the public only gets
+// live records, while logged-in users see everything and may filter
+// with ?status=.
+const listHandler = (collection, { present = (record) => record, filters, publishable = false } = {}) => async (req, res, next) => {
+    try {
+        const { options, paged, error } = parseListQuery(req.query, COLLECTIONS[collection]);
+        if (error) return res.status(400).json({ error });
+        
+        if (filters) {
+            const extra = await filters(req);
+            if (extra.error) return res.status(extra.status || 400).json({ error: extra.error });
+            Object.assign(options, extra);
+        }
+        
+        if (publishable && !isLoggedIn(req)) {
+            Object.assign(options, liveQuery());
+        } else if (publishable && req.query.status !== undefined) {
+            if (!PUBLISH_STATUSES.includes(req.query.status)) {
+                return res.status(400).json({ error: `status must be one of: ${PUBLISH_STATUSES.join(', ')}` });
+            }
+            const { filter, exclude } = statusQuery(req.query.status);
+            options.filter = { ...options.filter, ...filter };
+            if (exclude) options.exclude = exclude;
+        }
+        
+        const { items: records, total } = await db[collection].query(options);
+        const items = records.map(record => present(record, req));
+        res.set('X-Total-Count', String(total));
+        res.json(paged ? { items, total, limit: options.limit, offset: options.offset } : items);
+    } catch (err) {
+        next(err);
     }
 };
 
@@ -167,270 +441,1634 @@ const requireAuth = (req, res, next) => {
 // AUTH ROUTES
 // ========================================================================
 
-app.post('/api/login', (req, res) => {
+// Failed logins lock out the username after a few tries, and the IP
+// address after more (it may be shared, or be trying many usernames)
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const usernameLockout = createLockout({ windowMs: LOGIN_WINDOW_MS, maxFailures: 5, lockoutMs: 15 * 60 * 1000 });
+const ipLockout = createLockout({ windowMs: LOGIN_WINDOW_MS, maxFailures: 20, lockoutMs: 30 * 60 * 1000 });
+
+const usernameKey = (username) => String(username || '').trim().toLowerCase();
+
+// Record a failed login against both counters, auditing any lockout it causes
+async function loginFailed(req, username, user) {
+    await recordAudit(req, 'auth.login_failed', { targetId: user ? user.id : null, user: user || { username: String(username || '') } });
+    
+    const lockedUser = usernameLockout.fail(usernameKey(username));
+    const lockedIp = ipLockout.fail(req.ip);
+    if (lockedUser || lockedIp) {
+        await recordAudit(req, 'auth.lockout', {
+            targetId: user ? user.id : null,
+            user: { username: String(username || '') },
+            after: { username: lockedUser ? usernameKey(username) : undefined, ip: lockedIp ? req.ip : undefined }
+        });
+    }
+}
+
+// The checks every kind of login makes: lockouts, the password and a
+// disabled account. Returns the user, or sends the refusal and returns null.
+async function checkCredentials(req, res) {
     const { username, password } = req.body;
     
-    if (useSupabase) {
-        // Use Supabase database
-        supabaseClient.from('users').select('*')
-            .eq('username', username).limit(1)
-            .then(({ data, error }) => {
-                if (error || data.length === 0 || data[0].password !== password) {
-                    return res.status(401).json({ success: false, error: 'Invalid credentials' });
-                }
-                req.session.userId = data[0].id;
-                req.session.username = data[0].username;
-                res.json({ success: true, message: 'Login successful' });
-            });
-    } else {
-        // Use local JSON
-        const users = readData('users.json');
-        const user = users.find(u => u.username === username && u.password === password);
-        
-        if (user) {
-            req.session.userId = user.id;
-            req.session.username = user.username;
-            res.json({ success: true, message: 'Login successful' });
-        } else {
-            res.status(401).json({ success: false, error: 'Invalid credentials' });
-        }
+    const lockedFor = Math.max(usernameLockout.lockedFor(usernameKey(username)), ipLockout.lockedFor(req.ip));
+    if (lockedFor > 0) {
+        res.set('Retry-After', String(lockedFor));
+        const minutes = Math.ceil(lockedFor / 60);
+        res.status(429).json({ success: false, error: `Too many failed logins. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.` });
+        return null;
+    }
+    
+    const user = username ? await db.users.findOne('username', username) : null;
+    
+    if (!user || !(await verifyPassword(password, user.password))) {
+        await loginFailed(req, username, user);
+        res.status(401).json({ success: false, error: 'Invalid credentials' });
+        return null;
+    }
+    
+    if (user.disabled) {
+        await recordAudit(req, 'auth.login_failed', { targetId: user.id, user });
+        res.status(403).json({ success: false, error: 'This account has been disabled' });
+        return null;
+    }
+    
+    usernameLockout.reset(usernameKey(username));
+    
+    // Upgrade legacy plaintext passwords now that we know the real value
+    if (!isHashed(user.password)) {
+        await db.users.update(user.id, { password: await hashPassword(password) });
+    }
+    return user;
+}
+
+app.post('/api/login', async (req, res, next) => {
+    try {
+        const user = await checkCredentials(req, res);
+        if (!user) return;
+        
+        const mustChangePassword = req.body.password === DEFAULT_ADMIN_PASSWORD;
+        
+        // A new session id on login, so one set before it can't be reused
+        await new Promise((resolve, reject) => req.session.regenerate(err => (err ? reject(err) : resolve())));
+        
+        req.session.userId = user.id;
+        req.session.username = user.username;
+        req.session.mustChangePassword = mustChangePassword;
+        req.session.ip = req.ip;
+        req.session.userAgent = req.get('user-agent') || '';
+        req.session.loginAt = new Date().toISOString();
+        req.session.csrfToken = csrf.newCsrfToken();
+        await recordAudit(req, 'auth.login', { targetId: user.id, user });
+        res.json({ success: true, message: 'Login successful', mustChangePassword });
+    } catch (err) {
+        next(err);
     }
 });
 
-app.post('/api/logout', (req, res) => {
+// Ends a session, or the token login an access token came from
+app.post('/api/logout', async (req, res, next) => {
+    if (req.auth && req.auth.type === 'token') {
+        try {
+            await db.refreshTokens.delete(req.auth.tokenId);
+            await recordAudit(req, 'auth.logout', { targetId: req.auth.user.id, user: req.auth.user });
+            return res.json({ success: true, message: 'Logged out successfully' });
+        } catch (err) {
+            return next(err);
+        }
+    }
+    
+    if (req.session && req.session.userId) {
+        const user = { id: req.session.userId, username: req.session.username };
+        await recordAudit(req, 'auth.logout', { targetId: user.id, user });
+    }
     req.session.destroy();
     res.json({ success: true, message: 'Logged out successfully' });
 });
 
-app.get('/api/auth/status', (req, res) => {
-    if (req.session && req.session.userId) {
-        res.json({ authenticated: true, username: req.session.username });
-    } else {
-        res.json({ authenticated: false });
-    }
+// ------------------------------------------------------------------------
+// Token login, for clients that send Authorization: Bearer instead of the
+// cookie. See lib/tokens.js.
+// ------------------------------------------------------------------------
+
+// The response for a new or refreshed token login
+const tokenResponse = (login, refreshToken) => ({
+    success: true,
+    tokenType: 'Bearer',
+    accessToken: tokens.signAccessToken({ userId: login.userId, sessionId: login.id }, TOKEN_SECRET),
+    expiresIn: tokens.ACCESS_TOKEN_TTL_SECONDS,
+    refreshToken,
+    refreshExpiresIn: Math.round((Date.parse(login.expiresAt) - Date.now()) / 1000)
 });
 
-// ========================================================================
-// PRODUCTS ROUTES
-// ========================================================================
+const refreshExpiry = () => new Date(Date.now() + tokens.REFRESH_TOKEN_TTL_MS).toISOString();
 
-app.get('/api/products', (req, res) => {
-    if (useSupabase) {
-        supabaseClient.from('products').select('*').order('created_at', { ascending: false })
-            .then(({ data, error }) => {
-                if (error) return res.status(500).json({ error: error.message });
-                res.json(data || []);
-            });
-    } else {
-        res.json(readData('products.json'));
+// The token login a refresh token belongs to, or null. One whose id is
+// right but whose secret isn't was probably copied and already used, so
+// that login is ended.
+async function findTokenLogin(refreshToken) {
+    const parsed = tokens.parseSecretToken(refreshToken);
+    const login = parsed && await db.refreshTokens.get(parsed.id);
+    if (!login || tokens.isExpired(login)) return null;
+    if (!tokens.matchesHash(parsed.secret, login.tokenHash)) {
+        await db.refreshTokens.delete(login.id);
+        return null;
     }
-});
+    return login;
+}
 
-app.post('/api/products', requireAuth, upload.single('image'), async (req, res) => {
+// { username, password } -> access and refresh token
+app.post('/api/auth/token', async (req, res, next) => {
     try {
-        const { title, price, description, whatsappLink } = req.body;
-        let imageUrl = req.body.image || '';
+        const user = await checkCredentials(req, res);
+        if (!user) return;
         
-        // Upload to Supabase if configured and file provided
-        if (useSupabase && req.file) {
-            imageUrl = await uploadToSupabase(req.file.buffer, req.file.originalname, req.file.mimetype);
+        if (req.body.password === DEFAULT_ADMIN_PASSWORD) {
+            return res.status(403).json({ success: false, error: 'Please log in to the dashboard and change your password first.', mustChangePassword: true });
         }
         
-        const newProduct = {
-            id: `prod-${uuidv4().substring(0, 8)}`,
-            title,
-            price: price || '',
-            description: description || '',
-            image: imageUrl,
-            whatsappLink: whatsappLink || `https://wa.me/2349131240760?text=Hello%20NK%20Solar%2C%20I%20want%20to%20buy%20${encodeURIComponent(title)}`,
-            createdAt: new Date().toISOString()
-        };
-        
-        if (useSupabase) {
-            const { data, error } = await supabaseClient.from('products')
-                .insert([{ id: newProduct.id, title, price: price || '', description: description || '', image: imageUrl, whatsapp_link: newProduct.whatsappLink, created_at: new Date().toISOString() }])
-                .select().single();
-            if (error) throw error;
-            res.json({ success: true, product: data });
-        } else {
-            const products = readData('products.json');
-            products.push(newProduct);
-            writeData('products.json', products);
-            res.json({ success: true, product: newProduct });
+        const id = tokens.newTokenId('rt');
+        const refresh = tokens.newSecretToken(id);
+        const login = await db.refreshTokens.create({
+            id,
+            userId: user.id,
+            tokenHash: refresh.hash,
+            expiresAt: refreshExpiry(),
+            lastSeenAt: new Date().toISOString(),
+            ip: req.ip,
+            userAgent: req.get('user-agent') || ''
+        });
+        await recordAudit(req, 'auth.login', { targetId: user.id, user, after: { method: 'token' } });
+        res.json(tokenResponse(login, refresh.token));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// { refreshToken } -> new access and refresh token. Each refresh token
+// works once; the one returned replaces it.
+app.post('/api/auth/token/refresh', async (req, res, next) => {
+    try {
+        const login = await findTokenLogin(req.body.refreshToken);
+        const user = login && await db.users.get(login.userId);
+        if (!user || user.disabled) {
+            if (login) await db.refreshTokens.delete(login.id);
+            return res.status(401).json({ success: false, error: 'Invalid or expired refresh token' });
         }
+        
+        const refresh = tokens.newSecretToken(login.id);
+        const updated = await db.refreshTokens.update(login.id, {
+            tokenHash: refresh.hash,
+            expiresAt: refreshExpiry(),
+            lastSeenAt: new Date().toISOString(),
+            ip: req.ip
+        });
+        res.json(tokenResponse(updated, refresh.token));
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        next(err);
     }
 });
 
-app.put('/api/products/:id', requireAuth, upload.single('image'), async (req, res) => {
+// { refreshToken } -> ends that token login, for clients that no longer
+// hold a valid access token. Succeeds even if it had already ended.
+app.post('/api/auth/token/revoke', async (req, res, next) => {
     try {
-        const { id } = req.params;
-        const { title, price, description, whatsappLink } = req.body;
+        const login = await findTokenLogin(req.body.refreshToken);
+        if (login) {
+            await db.refreshTokens.delete(login.id);
+            const user = await db.users.get(login.userId);
+            await recordAudit(req, 'auth.logout', { targetId: login.userId, user: user || { id: login.userId } });
+        }
+        res.json({ success: true });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// ------------------------------------------------------------------------
+// Sessions and API keys of the current user
+// ------------------------------------------------------------------------
+
+// Token logins of a user that haven't expired
+const tokenLoginsOf = async (userId) => (await db.refreshTokens.findMany({ userId }))
+    .filter(login => !tokens.isExpired(login));
+
+// End a user's sessions and token logins, except `keepId`; returns how many
+async function endLogins(userId, keepId = null) {
+    const sessions = await sessionStore.destroyOthers(userId, keepId);
+    const logins = (await tokenLoginsOf(userId)).filter(login => login.id !== keepId);
+    for (const login of logins) await db.refreshTokens.delete(login.id);
+    return sessions + logins.length;
+}
+
+// The current user's logins: a session per browser, and token logins
+app.get('/api/auth/sessions', requireLogin, rejectApiKeys, async (req, res, next) => {
+    try {
+        const currentId = req.auth ? req.auth.tokenId : req.sessionID;
+        const [sessions, logins] = await Promise.all([sessionStore.listForUser(req.user.id), tokenLoginsOf(req.user.id)]);
+        const listed = [
+            ...sessions.map(record => presentSession(record, currentId)),
+            ...logins.map(login => tokens.presentTokenSession(login, currentId))
+        ];
+        res.json(listed.sort((a, b) => String(b.lastSeenAt).localeCompare(String(a.lastSeenAt))));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Log out everywhere except here
+app.post('/api/auth/sessions/logout-others', requireLogin, rejectApiKeys, async (req, res, next) => {
+    try {
+        const count = await endLogins(req.user.id, req.auth ? req.auth.tokenId : req.sessionID);
+        await recordAudit(req, 'auth.logout_others', { targetId: req.user.id, after: { sessions: count } });
+        res.json({ success: true, count });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// The current user's API keys; users:manage sees everyone's
+app.get('/api/auth/api-keys', requireAuth, rejectApiKeys, async (req, res, next) => {
+    try {
+        const keys = can(req.user, 'users:manage') ? await db.apiKeys.list() : await db.apiKeys.findMany({ userId: req.user.id });
+        res.json(keys
+            .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+            .map(key => ({ ...tokens.presentApiKey(key), expired: tokens.isExpired(key) })));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// { name, scopes, expiresInDays } -> the key, whose token is only shown now
+app.post('/api/auth/api-keys', requireAuth, rejectApiKeys, validate(schemas.apiKey), async (req, res, next) => {
+    try {
+        const { changes, error } = tokens.buildApiKey(req.body, req.user);
+        if (error) return res.status(400).json({ success: false, error, errors: [{ field: 'scopes', message: error }] });
         
-        if (useSupabase) {
-            const { data: existing } = await supabaseClient.from('products').select('*').eq('id', id).single();
-            if (!existing) return res.status(404).json({ error: 'Not found' });
-            
-            let imageUrl = existing.image;
-            if (req.file) {
-                if (imageUrl) await deleteFromSupabase(imageUrl);
-                imageUrl = await uploadToSupabase(req.file.buffer, req.file.originalname, req.file.mimetype);
-            }
-            
-            const { data, error } = await supabaseClient.from('products')
-                .update({ title, price, description, image: imageUrl, whatsapp_link: whatsappLink, updated_at: new Date().toISOString() })
-                .eq('id', id).select().single();
-            if (error) throw error;
-            res.json({ success: true, product: data });
-        } else {
-            const products = readData('products.json');
-            const index = products.findIndex(p => p.id === id);
-            if (index === -1) return res.status(404).json({ error: 'Not found' });
-            
-            if (req.file) {
-                const oldImage = products[index].image;
-                if (oldImage && oldImage.startsWith('/uploads/')) {
-                    try { fs.unlinkSync(path.join(__dirname, 'public', oldImage)); } catch (e) {}
-                }
-                products[index].image = `/uploads/${req.file.filename}`;
-            }
-            
-            products[index] = { ...products[index], title, price, description, whatsappLink, updatedAt: new Date().toISOString() };
-            writeData('products.json', products);
-            res.json({ success: true, product: products[index] });
+        const id = tokens.newTokenId('key');
+        const secret = tokens.newSecretToken(id);
+        const key = await db.apiKeys.create({ id, ...changes, keyHash: secret.hash });
+        await recordAudit(req, 'api_key.create', { targetId: key.id, after: tokens.presentApiKey(key) });
+        res.json({ success: true, key: tokens.presentApiKey(key), token: `${tokens.API_KEY_PREFIX}${secret.token}` });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Revoke a key: one's own, or anyone's with users:manage
+app.delete('/api/auth/api-keys/:id', requireAuth, rejectApiKeys, async (req, res, next) => {
+    try {
+        const key = await db.apiKeys.get(req.params.id);
+        if (!key || (key.userId !== req.user.id && !can(req.user, 'users:manage'))) {
+            return res.status(404).json({ success: false, error: 'Not found' });
         }
+        
+        await db.apiKeys.delete(key.id);
+        await recordAudit(req, 'api_key.delete', { targetId: key.id, before: tokens.presentApiKey(key) });
+        res.json({ success: true, message: 'API key revoked' });
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        next(err);
     }
 });
 
-app.delete('/api/products/:id', requireAuth, async (req, res) => {
+app.get('/api/auth/status', async (req, res, next) => {
     try {
-        const { id } = req.params;
+        const user = req.auth ? req.auth.user
+            : req.session && req.session.userId ? await db.users.get(req.session.userId) : null;
         
-        if (useSupabase) {
-            const { data: product } = await supabaseClient.from('products').select('image').eq('id', id).single();
-            if (product?.image) await deleteFromSupabase(product.image);
-            const { error } = await supabaseClient.from('products').delete().eq('id', id);
-            if (error) throw error;
-            res.json({ success: true, message: 'Deleted' });
+        if (user && !user.disabled) {
+            // Sessions from before CSRF tokens get one now
+            if (!req.auth && !req.session.csrfToken) req.session.csrfToken = csrf.newCsrfToken();
+            
+            const role = roleOf(user);
+            // An API key can do what its scopes and the user's role both allow
+            const permissions = permissionsFor(role).filter(permission => hasScope(req, permission));
+            res.json({
+                authenticated: true,
+                username: user.username,
+                role,
+                permissions,
+                authType: req.auth ? req.auth.type : 'session',
+                mustChangePassword: !req.auth && !!req.session.mustChangePassword,
+                csrfToken: req.auth ? undefined : req.session.csrfToken
+            });
         } else {
-            const products = readData('products.json');
-            const product = products.find(p => p.id === id);
-            if (product?.image && product.image.startsWith('/uploads/')) {
-                try { fs.unlinkSync(path.join(__dirname, 'public', product.image)); } catch (e) {}
-            }
-            writeData('products.json', products.filter(p => p.id !== id));
-            res.json({ success: true, message: 'Deleted' });
+            res.json({ authenticated: false });
         }
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        next(err);
     }
 });
 
 // ========================================================================
-// COURSES ROUTES
+// USERS ROUTES
 // ========================================================================
 
-app.get('/api/courses', (req, res) => {
-    if (useSupabase) {
-        supabaseClient.from('courses').select('*').order('created_at', { ascending: false })
-            .then(({ data, error }) => {
-                if (error) return res.status(500).json({ error: error.message });
-                res.json(data || []);
-            });
-    } else {
-        res.json(readData('courses.json'));
+// Never send password hashes to the browser
+const publicUser = ({ password, ...user }) => user;
+
+app.get('/api/users', requirePermission('users:manage'), async (req, res, next) => {
+    try {
+        const users = await db.users.list();
+        res.json(users.map(publicUser));
+    } catch (err) {
+        next(err);
     }
 });
 
-app.post('/api/courses', requireAuth, upload.single('image'), async (req, res) => {
+app.post('/api/users', requirePermission('users:manage'), validate(schemas.newUser), async (req, res, next) => {
     try {
-        const { title, date, comments, description, content } = req.body;
-        let imageUrl = req.body.image || '';
+        const { username, password, name, role } = req.body;
         
-        if (useSupabase && req.file) {
-            imageUrl = await uploadToSupabase(req.file.buffer, req.file.originalname, req.file.mimetype);
-        }
+        const weakness = checkPasswordStrength(password);
+        if (weakness) return res.status(400).json({ success: false, error: weakness });
         
-        const newCourse = {
-            id: `course-${uuidv4().substring(0, 8)}`,
-            title,
-            date: date || new Date().toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }),
-            comments: parseInt(comments) || 0,
-            description: description || '',
-            content: content || '',
-            image: imageUrl,
-            createdAt: new Date().toISOString()
-        };
-        
-        if (useSupabase) {
-            const { data, error } = await supabaseClient.from('courses')
-                .insert([{ id: newCourse.id, title, date: newCourse.date, comments: newCourse.comments, description, content, image: imageUrl, created_at: new Date().toISOString() }])
-                .select().single();
-            if (error) throw error;
-            res.json({ success: true, course: data });
-        } else {
-            const courses = readData('courses.json');
-            courses.push(newCourse);
-            writeData('courses.json', courses);
-            res.json({ success: true, course: newCourse });
+        if (await db.users.findOne('username', username.trim())) {
+            return res.status(409).json({ success: false, error: 'Username already taken' });
         }
+        
+        const user = await db.users.create({
+            username: username.trim(),
+            password: await hashPassword(password),
+            name: name || '',
+            role: role || 'editor',
+            disabled: false
+        });
+        await recordAudit(req, 'user.create', { targetId: user.id, after: user });
+        res.json({ success: true, user: publicUser(user) });
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        next(err);
     }
 });
 
-app.delete('/api/courses/:id', requireAuth, async (req, res) => {
+// Update name, role or disabled flag
+app.put('/api/users/:id', requirePermission('users:manage'), validate(schemas.userUpdate, { partial: true }), async (req, res, next) => {
     try {
         const { id } = req.params;
+        const { name, role } = req.body;
+        const disabled = req.body.disabled === undefined ? undefined : [true, 'true'].includes(req.body.disabled);
         
-        if (useSupabase) {
-            const { data: course } = await supabaseClient.from('courses').select('image').eq('id', id).single();
-            if (course?.image) await deleteFromSupabase(course.image);
-            const { error } = await supabaseClient.from('courses').delete().eq('id', id);
-            if (error) throw error;
-            res.json({ success: true, message: 'Deleted' });
-        } else {
-            const courses = readData('courses.json');
-            const course = courses.find(c => c.id === id);
-            if (course?.image && course.image.startsWith('/uploads/')) {
-                try { fs.unlinkSync(path.join(__dirname, 'public', course.image)); } catch (e) {}
-            }
-            writeData('courses.json', courses.filter(c => c.id !== id));
-            res.json({ success: true, message: 'Deleted' });
+        if (id === req.user.id && (disabled || (role !== undefined && role !== roleOf(req.user)))) {
+            return res.status(400).json({ success: false, error: 'You cannot disable your own account or change your own role' });
+        }
+        
+        const existing = await db.users.get(id);
+        if (!existing) return res.status(404).json({ success: false, error: 'Not found' });
+        
+        const user = await db.users.update(id, { name, role, disabled });
+        // A disabled user is logged out everywhere at once, rather than
+        // when each session next reaches a route that checks
+        if (user.disabled && !existing.disabled) await endLogins(id);
+        await recordAudit(req, 'user.update', { targetId: id, before: existing, after: user });
+        res.json({ success: true, user: publicUser(user) });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Set a new password for another user
+app.post('/api/users/:id/reset-password', requirePermission('users:manage'), async (req, res, next) => {
+    try {
+        const weakness = checkPasswordStrength(req.body.password);
+        if (weakness) return res.status(400).json({ success: false, error: weakness });
+        
+        const existing = await db.users.get(req.params.id);
+        if (!existing) return res.status(404).json({ success: false, error: 'Not found' });
+        
+        const user = await db.users.update(existing.id, { password: await hashPassword(req.body.password) });
+        await recordAudit(req, 'user.reset_password', { targetId: user.id, before: existing, after: user });
+        res.json({ success: true, message: 'Password reset' });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Change own password (also allowed while a change is being forced)
+app.put('/api/users/me/password', requireLogin, rejectApiKeys, async (req, res, next) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+        const user = req.user;
+        
+        if (!(await verifyPassword(currentPassword, user.password))) {
+            return res.status(400).json({ success: false, error: 'Current password is incorrect' });
         }
+        
+        const weakness = checkPasswordStrength(newPassword);
+        if (weakness) return res.status(400).json({ success: false, error: weakness });
+        
+        const updated = await db.users.update(user.id, { password: await hashPassword(newPassword) });
+        await recordAudit(req, 'user.change_password', { targetId: user.id, before: user, after: updated });
+        if (!req.auth) req.session.mustChangePassword = false;
+        res.json({ success: true, message: 'Password changed' });
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        next(err);
     }
 });
 
 // ========================================================================
-// PAGE ROUTES (Optional - for standalone backend, you can remove these)
+// IMPORT & EXPORT ROUTES
 // ========================================================================
 
-// Remove or comment out the root route since this is just an API server
-// app.get('/', (req, res) => {
-//     res.sendFile(path.join(__dirname, 'index.html'));
-// });
+// Registered before the product and course routes so that "export" and
+// "import" aren't taken for ids. See lib/bulk.js for the file format.
 
-app.get('/admin', (req, res) => {
-    if (req.session && req.session.userId) {
-        res.sendFile(path.join(__dirname, 'public', 'admin-dashboard.html'));
-    } else {
-        res.redirect('/admin-login.html');
+// ?format=csv (default) or json, with the list's ?q= and ?status=
+const exportHandler = (collection, columns, toRow) => async (req, res, next) => {
+    try {
+        const format = req.query.format || 'csv';
+        if (!['csv', 'json'].includes(format)) return res.status(400).json({ error: 'format must be csv or json' });
+        
+        const options = { search: req.query.q, sort: 'title', order: 'asc' };
+        if (req.query.status) {
+            if (!PUBLISH_STATUSES.includes(req.query.status)) {
+                return res.status(400).json({ error: `status must be one of: ${PUBLISH_STATUSES.join(', ')}` });
+            }
+            Object.assign(options, statusQuery(req.query.status));
+        }
+        
+        const { items } = await db[collection].query(options);
+        const records = items.map(withoutPreviewToken);
+        const date = new Date().toISOString().slice(0, 10);
+        
+        res.set('Content-Disposition', `attachment; filename="${collection}-${date}.${format}"`);
+        if (format === 'json') return res.json(records);
+        
+        const categories = await db.categories.list();
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.send(csv.toCsv(records.map(record => toRow(record, categories)), columns));
+    } catch (err) {
+        next(err);
     }
-});
+};
 
-app.get('/admin-login.html', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'admin-login.html'));
-});
+app.get('/api/products/export', requirePermission('content:read'), exportHandler('products', bulk.PRODUCT_COLUMNS, bulk.productRow));
+app.get('/api/courses/export', requirePermission('content:read'), exportHandler('courses', bulk.COURSE_COLUMNS, bulk.courseRow));
 
-// Error handler
-app.use((err, req, res, next) => {
-    console.error(err.message);
-    res.status(500).json({ error: err.message });
+// Upload a CSV or JSON file as `file`. Nothing is written unless
+// apply=true is sent: the response previews what each row would do, and
+// lists its errors. With apply=true a file without errors is imported in
+// one go; a file with any errors is rejected as a whole.
+app.post('/api/products/import', requirePermission('content:write'), importUpload.single('file'), async (req, res, next) => {
+    try {
+        if (!req.file) return res.status(400).json({ success: false, error: 'Choose a CSV or JSON file to import' });
+        
+        const { rows, ignoredColumns, error } = bulk.readImportFile(req.file);
+        if (error) return res.status(400).json({ success: false, error });
+        
+        const [products, categories] = await Promise.all([db.products.list(), db.categories.list()]);
+        const entries = bulk.planImport(rows, products, categories);
+        
+        for (const entry of entries.filter(e => e.action !== 'error')) {
+            const { title, description, image, whatsappLink } = entry.input;
+            const { changes, error: buildError } = await buildProductChanges(entry.input, entry.existing);
+            if (buildError) {
+                entry.action = 'error';
+                entry.errors.push({ field: null, message: buildError });
+                continue;
+            }
+            
+            entry.changes = Object.fromEntries(Object.entries({ title, ...changes, description, image, whatsappLink })
+                .filter(([, value]) => value !== undefined));
+            
+            if (entry.existing) {
+                entry.fields = Object.keys(diffRecords(entry.existing, { ...entry.existing, ...entry.changes }));
+                if (entry.fields.length === 0) entry.action = 'unchanged';
+            }
+        }
+        
+        const summary = bulk.importSummary(entries);
+        const preview = { summary, ignoredColumns, rows: entries.map(bulk.presentImportEntry) };
+        const apply = req.body.apply === 'true' || req.body.apply === true;
+        
+        if (!apply) return res.json({ success: true, applied: false, ...preview });
+        if (summary.error > 0) {
+            return res.status(400).json({ success: false, applied: false, error: `${summary.error} row(s) have errors; nothing was imported`, ...preview });
+        }
+        
+        // Every product is written in one go, so a failure leaves nothing
+        // half imported; the history is recorded once that has worked
+        const now = new Date().toISOString();
+        const pending = entries.filter(entry => entry.action === 'create' || entry.action === 'update');
+        pending.forEach(entry => {
+            entry.product = entry.existing
+                ? { ...entry.existing, ...withWhatsappLink(entry.existing, entry.changes), updatedAt: now }
+                : { id: newId(COLLECTIONS.products.idPrefix), createdAt: now, ...newProductFields({ description: '', image: '', ...entry.changes }) };
+            entry.id = entry.product.id;
+        });
+        if (pending.length > 0) await db.products.upsertMany(pending.map(entry => entry.product));
+        
+        for (const entry of pending) {
+            if (entry.existing) {
+                await recordProductUpdated(req, entry.existing, entry.product, { note: 'Imported', stockReason: 'Set by import' });
+            } else {
+                await recordProductCreated(req, entry.product, 'Imported');
+            }
+        }
+        res.json({ success: true, applied: true, ...preview, rows: entries.map(bulk.presentImportEntry) });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// ========================================================================
+// PRODUCTS ROUTES
+// ========================================================================
+
+// Supports ?q=, sort=, order=, limit= and offset= (see lib/query.js)
+// ?category=<id or slug> includes its subcategories; ?tag=a,b needs every tag
+async function productFilters(req) {
+    const options = {};
+    
+    if (req.query.category) {
+        const ids = categoryFamily(await db.categories.list(), req.query.category);
+        if (!ids) return { error: 'Category not found', status: 404 };
+        options.filter = { categoryId: ids };
+    }
+    
+    const tags = normalizeTags(req.query.tag || req.query.tags);
+    if (tags.length > 0) options.has = { tags };
+    
+    return options;
+}
+
+// Exact stock counts are public only when PUBLIC_STOCK_COUNTS=true;
+// everyone else just sees availability
+const PUBLIC_STOCK_COUNTS = process.env.PUBLIC_STOCK_COUNTS === 'true';
+
+const presentProduct = (product, req) => {
+    const presented = presentStock(presentPrice(product), PUBLIC_STOCK_COUNTS || isLoggedIn(req));
+    return isLoggedIn(req) ? presented : withoutPreviewToken(presented);
+};
+
+// Products the public can see right now
+const liveProducts = async () => (await db.products.list()).filter(p => isLive(p));
+
+app.get('/api/products', listHandler('products', { present: presentProduct, filters: productFilters, publishable: true }));
+
+// One product; drafts only for logged-in users or with ?preview=<token>
+app.get('/api/products/:id', async (req, res, next) => {
+    try {
+        const product = await db.products.get(req.params.id);
+        if (!product || !(isLive(product) || isLoggedIn(req) || canPreview(product, req.query.preview))) {
+            return res.status(404).json({ error: 'Not found' });
+        }
+        res.json(presentProduct(product, req));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Category and tag fields from a product form. Returns { changes } or { error }.
+async function buildProductLinks(body) {
+    const changes = {};
+    
+    if (body.categoryId !== undefined) {
+        changes.categoryId = body.categoryId || null;
+        if (changes.categoryId && !(await db.categories.get(changes.categoryId))) {
+            return { error: 'Category not found' };
+        }
+    }
+    if (body.tags !== undefined) changes.tags = normalizeTags(body.tags);
+    
+    return { changes };
+}
+
+// Every product field from a form, API call or import row except title,
+// description, image and WhatsApp link, run through the lib/ builders.
+// Returns { changes } or { error }.
+async function buildProductChanges(body, existing = null) {
+    const results = [
+        buildPricing(body, existing),
+        await buildProductLinks(body),
+        buildStockSettings(body, existing),
+        buildSpecs(body, existing),
+        buildPublishing(body, existing)
+    ];
+    
+    const failed = results.find(result => result.error);
+    if (failed) return { error: failed.error };
+    return { changes: Object.assign({}, ...results.map(result => result.changes)) };
+}
+
+// A new product's fields, with the defaults and a generated WhatsApp link
+const newProductFields = (fields) => ({
+    price: '',
+    categoryId: null,
+    tags: [],
+    ...fields,
+    whatsappLink: fields.whatsappLink || productWhatsappLink(siteSettings, presentPrice(fields))
+});
+
+// Changes to a product, plus a new WhatsApp link when its link was
+// generated: that names the title and price, which may have changed. A
+// link set by hand is left alone.
+function withWhatsappLink(existing, changes) {
+    const defined = Object.fromEntries(Object.entries(changes).filter(([, value]) => value !== undefined));
+    const updated = { ...existing, ...defined };
+    if (!isGeneratedLink(updated.whatsappLink)) return changes;
+    return { ...changes, whatsappLink: productWhatsappLink(siteSettings, presentPrice(updated)) };
+}
+
+// The opening stock movement, audit entry and first revision of a new product
+async function recordProductCreated(req, product, note) {
+    if (product.stockQuantity) {
+        await recordStockMovement(product, product.stockQuantity, 'Initial stock', req.user);
+    }
+    await recordAudit(req, 'product.create', { targetId: product.id, after: product });
+    await recordRevision(req, 'product', null, product, note);
+}
+
+// A stock movement for any change in quantity, an audit entry and a revision
+async function recordProductUpdated(req, existing, product, { note, stockReason }) {
+    const stockChange = (product.stockQuantity ?? 0) - (existing.stockQuantity ?? 0);
+    if (stockChange !== 0) {
+        await recordStockMovement(product, stockChange, stockReason, req.user);
+    }
+    await recordAudit(req, 'product.update', { targetId: existing.id, before: existing, after: product });
+    await recordRevision(req, 'product', existing, product, note);
+}
+
+// Save a new product with its opening stock movement, audit entry and
+// first revision
+async function createProduct(req, fields, { note = 'Created' } = {}) {
+    const product = await db.products.create(newProductFields(fields));
+    await recordProductCreated(req, product, note);
+    return product;
+}
+
+// Save changes to a product, recording a stock movement for any change
+// in quantity, an audit entry and a revision
+async function updateProduct(req, existing, changes, { note = '', stockReason = 'Set in product form' } = {}) {
+    const product = await db.products.update(existing.id, withWhatsappLink(existing, changes));
+    await recordProductUpdated(req, existing, product, { note, stockReason });
+    return product;
+}
+
+app.post('/api/products', requirePermission('content:write'), upload.single('image'), validate(schemas.product), async (req, res, next) => {
+    try {
+        const { title, description, whatsappLink } = req.body;
+        let imageUrl = req.body.image || '';
+        
+        const { changes, error } = await buildProductChanges(req.body);
+        if (error) return res.status(400).json({ success: false, error });
+        
+        if (req.file) {
+            imageUrl = await media.save(req.file);
+        }
+        
+        const product = await createProduct(req, {
+            title,
+            ...changes,
+            description: description || '',
+            image: imageUrl,
+            whatsappLink
+        });
+        res.json({ success: true, product: presentProduct(product, req) });
+    } catch (err) {
+        next(err);
+    }
+});
+
+app.put('/api/products/:id', requirePermission('content:write'), upload.single('image'), validate(schemas.product, { partial: true }), async (req, res, next) => {
+    try {
+        const { title, description, whatsappLink } = req.body;
+        
+        const existing = await db.products.get(req.params.id);
+        if (!existing) return res.status(404).json({ error: 'Not found' });
+        
+        const { changes, error } = await buildProductChanges(req.body, existing);
+        if (error) return res.status(400).json({ success: false, error });
+        
+        const imageUrl = req.file ? await media.save(req.file) : undefined;
+        
+        const product = await updateProduct(req, existing, { title, ...changes, description, image: imageUrl, whatsappLink });
+        
+        // Only drop the old image once the record points at the new one
+        if (imageUrl && existing.image !== imageUrl) await media.remove(existing.image);
+        res.json({ success: true, product: presentProduct(product, req) });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Moves the product to the trash; see TRASH ROUTES
+app.delete('/api/products/:id', requirePermission('content:delete'), async (req, res, next) => {
+    try {
+        const product = await db.products.get(req.params.id);
+        if (!product) return res.status(404).json({ error: 'Not found' });
+        
+        const entry = await moveToTrash('product', product, req.user);
+        await recordAudit(req, 'product.delete', { targetId: product.id, before: product });
+        res.json({ success: true, message: 'Moved to trash', trashId: entry.id });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// ========================================================================
+// INVENTORY ROUTES
+// ========================================================================
+
+async function recordStockMovement(product, change, reason, user) {
+    await db.stockMovements.create({
+        productId: product.id,
+        change,
+        quantityAfter: product.stockQuantity ?? 0,
+        reason,
+        userId: user.id,
+        username: user.username
+    });
+}
+
+// Products that are low, out of stock or on preorder, emptiest first
+app.get('/api/stock/low', requirePermission('content:read'), async (req, res, next) => {
+    try {
+        const products = (await db.products.list())
+            .filter(p => availability(p) !== 'in_stock')
+            .sort((a, b) => (a.stockQuantity ?? 0) - (b.stockQuantity ?? 0));
+        res.json(products.map(p => presentProduct(p, req)));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Movement history for one product, newest first
+app.get('/api/products/:id/stock', requirePermission('content:read'), async (req, res, next) => {
+    try {
+        const { items } = await db.stockMovements.query({ filter: { productId: req.params.id } });
+        res.json(items);
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Adjust stock with { change: -2, reason } or { quantity: 40, reason }
+app.post('/api/products/:id/stock', requirePermission('content:write'), validate(schemas.stockAdjustment), async (req, res, next) => {
+    try {
+        const existing = await db.products.get(req.params.id);
+        if (!existing) return res.status(404).json({ success: false, error: 'Not found' });
+        
+        const { change, quantityAfter, reason, error } = buildAdjustment(req.body, existing);
+        if (error) return res.status(400).json({ success: false, error });
+        
+        const product = await db.products.update(existing.id, { stockQuantity: quantityAfter });
+        await recordStockMovement(product, change, reason, req.user);
+        await recordAudit(req, 'product.adjust_stock', { targetId: product.id, before: existing, after: product });
+        res.json({ success: true, product: presentProduct(product, req) });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// ========================================================================
+// PREVIEW LINKS
+// ========================================================================
+
+// Link that shows a product or course before it is live. Records from
+// before previews existed get their token on first use, which is a
+// change and so needs content:write; readers can only share existing links.
+const previewLinkHandler = (collection) => async (req, res, next) => {
+    try {
+        let record = await db[collection].get(req.params.id);
+        if (!record) return res.status(404).json({ success: false, error: 'Not found' });
+        
+        if (!record.previewToken) {
+            if (!can(req.user, 'content:write') || !hasScope(req, 'content:write')) {
+                return res.status(403).json({ success: false, error: 'This item has no preview link yet. Ask an editor to create one.' });
+            }
+            record = await db[collection].update(record.id, { previewToken: newPreviewToken() });
+        }
+        
+        const url = `${req.protocol}://${req.get('host')}/api/${collection}/${record.id}?preview=${record.previewToken}`;
+        res.json({ success: true, url });
+    } catch (err) {
+        next(err);
+    }
+};
+
+app.post('/api/products/:id/preview', requirePermission('content:read'), previewLinkHandler('products'));
+app.post('/api/courses/:id/preview', requirePermission('content:read'), previewLinkHandler('courses'));
+
+// ========================================================================
+// REVISION HISTORY
+// ========================================================================
+
+const REVISION_TYPES = { products: 'product', courses: 'course' };
+
+// Load the product or course named in the URL into req.record
+const loadRecord = (collection) => async (req, res, next) => {
+    try {
+        req.record = await db[collection].get(req.params.id);
+        if (!req.record) return res.status(404).json({ success: false, error: 'Not found' });
+        next();
+    } catch (err) {
+        next(err);
+    }
+};
+
+const findRevision = async (type, recordId, version) => {
+    const [revision] = await db.revisions.findMany({ type, recordId, version: Number(version) });
+    return revision || null;
+};
+
+// Newest first; each entry lists the fields that changed, not the values
+const revisionListHandler = (collection) => listHandler('revisions', {
+    present: presentRevision,
+    filters: (req) => ({ filter: { type: REVISION_TYPES[collection], recordId: req.params.id } })
+});
+
+// ?from=<version>&to=<version>; without `to`, compares with the record as
+// it is now
+const revisionDiffHandler = (collection) => async (req, res, next) => {
+    try {
+        const type = REVISION_TYPES[collection];
+        const from = await findRevision(type, req.params.id, req.query.from);
+        if (!from) return res.status(404).json({ success: false, error: `Version ${req.query.from} not found` });
+        
+        const to = req.query.to === undefined
+            ? buildRevision(type, req.record, null, null)
+            : await findRevision(type, req.params.id, req.query.to);
+        if (!to) return res.status(404).json({ success: false, error: `Version ${req.query.to} not found` });
+        
+        res.json({
+            from: presentRevision(from),
+            to: req.query.to === undefined ? null : presentRevision(to),
+            changes: diffRecords(from.snapshot, to.snapshot)
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+const revisionHandler = (collection) => async (req, res, next) => {
+    try {
+        const revision = await findRevision(REVISION_TYPES[collection], req.params.id, req.params.version);
+        if (!revision) return res.status(404).json({ success: false, error: 'Not found' });
+        res.json(revision);
+    } catch (err) {
+        next(err);
+    }
+};
+
+// Put the record back the way a version had it; stored as a new version
+const rollbackHandler = (collection) => async (req, res, next) => {
+    try {
+        const type = REVISION_TYPES[collection];
+        const revision = await findRevision(type, req.params.id, req.params.version);
+        if (!revision) return res.status(404).json({ success: false, error: 'Not found' });
+        
+        const changes = rollbackChanges(revision);
+        if (changes.categoryId && !(await db.categories.get(changes.categoryId))) changes.categoryId = null;
+        
+        const record = await db[collection].update(req.record.id, changes);
+        await recordAudit(req, `${type}.rollback`, { targetId: record.id, before: req.record, after: record });
+        await recordRevision(req, type, req.record, record, `Rolled back to version ${revision.version}`);
+        
+        res.json({ success: true, [type]: type === 'product' ? presentProduct(record, req) : record });
+    } catch (err) {
+        next(err);
+    }
+};
+
+app.get('/api/products/:id/revisions', requirePermission('content:read'), revisionListHandler('products'));
+app.get('/api/products/:id/revisions/diff', requirePermission('content:read'), loadRecord('products'), revisionDiffHandler('products'));
+app.get('/api/products/:id/revisions/:version', requirePermission('content:read'), revisionHandler('products'));
+app.post('/api/products/:id/revisions/:version/rollback', requirePermission('content:write'), loadRecord('products'), rollbackHandler('products'));
+
+app.get('/api/courses/:id/revisions', requirePermission('content:read'), revisionListHandler('courses'));
+app.get('/api/courses/:id/revisions/diff', requirePermission('content:read'), loadRecord('courses'), revisionDiffHandler('courses'));
+app.get('/api/courses/:id/revisions/:version', requirePermission('content:read'), revisionHandler('courses'));
+app.post('/api/courses/:id/revisions/:version/rollback', requirePermission('content:write'), loadRecord('courses'), rollbackHandler('courses'));
+
+// ========================================================================
+// SIZING CALCULATOR
+// ========================================================================
+
+// Size a solar system for a list of appliances and fill it from the
+// catalog. Body: { appliances: [{ name, watts, quantity, hours }],
+// autonomyDays, peakSunHours, depthOfDischarge }
+app.post('/api/sizing', async (req, res, next) => {
+    try {
+        const { request, error } = checkSizingRequest(req.body);
+        if (error) return res.status(400).json({ success: false, error });
+        
+        const products = (await liveProducts()).map(p => presentProduct(p, req));
+        const system = recommendSystem(request, products);
+        // Short enough to go into the enquiry as it is
+        const summary = sizingSummary(system, request, schemas.enquiry.message.maxLength);
+        const greeting = fillTemplate(siteSettings.messageTemplates.enquiry, {
+            business: siteSettings.businessName,
+            request: 'a quote'
+        });
+        
+        res.json({
+            success: true,
+            ...system,
+            total: system.totalAmount === null ? null : formatAmount(system.totalAmount, system.currency),
+            // Ready to POST to /api/enquiries once name and phone are added
+            enquiry: { type: 'quote', productIds: system.billOfMaterials.map(item => item.productId), message: summary },
+            whatsappLink: whatsappUrl(siteSettings, `${greeting}\n${summary}`)
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// ========================================================================
+// CATEGORIES & TAGS ROUTES
+// ========================================================================
+
+// All categories in display order, subcategories right after their parent
+app.get('/api/categories', async (req, res, next) => {
+    try {
+        res.json(sortCategories(await db.categories.list()));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Products in a category and its subcategories; same query options as /api/products
+app.get('/api/categories/:slug/products', (req, res, next) => {
+    req.query.category = req.params.slug;
+    next();
+}, listHandler('products', { present: presentProduct, filters: productFilters, publishable: true }));
+
+app.post('/api/categories', requirePermission('content:write'), validate(schemas.category), async (req, res, next) => {
+    try {
+        const { category, error } = buildCategory(req.body, null, await db.categories.list());
+        if (error) return res.status(400).json({ success: false, error });
+        
+        const created = await db.categories.create(category);
+        await recordAudit(req, 'category.create', { targetId: created.id, after: created });
+        res.json({ success: true, category: created });
+    } catch (err) {
+        next(err);
+    }
+});
+
+app.put('/api/categories/:id', requirePermission('content:write'), validate(schemas.category, { partial: true }), async (req, res, next) => {
+    try {
+        const categories = await db.categories.list();
+        const existing = categories.find(c => c.id === req.params.id);
+        if (!existing) return res.status(404).json({ success: false, error: 'Not found' });
+        
+        const { category, error } = buildCategory(req.body, existing, categories);
+        if (error) return res.status(400).json({ success: false, error });
+        
+        const { id, createdAt, ...changes } = category;
+        const updated = await db.categories.update(id, changes);
+        await recordAudit(req, 'category.update', { targetId: id, before: existing, after: updated });
+        res.json({ success: true, category: updated });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Products in a deleted category become uncategorised
+app.delete('/api/categories/:id', requirePermission('content:delete'), async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        
+        if ((await db.categories.findMany({ parentId: id })).length > 0) {
+            return res.status(400).json({ success: false, error: 'Move or delete its subcategories first' });
+        }
+        
+        const category = await db.categories.delete(id);
+        if (!category) return res.status(404).json({ success: false, error: 'Not found' });
+        
+        for (const product of await db.products.findMany({ categoryId: id })) {
+            await db.products.update(product.id, { categoryId: null });
+        }
+        await recordAudit(req, 'category.delete', { targetId: id, before: category });
+        res.json({ success: true, message: 'Deleted' });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Every tag on a live product, with how many products carry it
+app.get('/api/tags', async (req, res, next) => {
+    try {
+        const counts = {};
+        for (const product of await liveProducts()) {
+            for (const tag of product.tags || []) counts[tag] = (counts[tag] || 0) + 1;
+        }
+        res.json(Object.entries(counts)
+            .map(([tag, count]) => ({ tag, count }))
+            .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag)));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// ========================================================================
+// COURSES ROUTES
+// ========================================================================
+
+const presentCourse = (course, req) => (isLoggedIn(req) ? course : withoutPreviewToken(course));
+
+// Supports ?q=, sort=, order=, limit= and offset= (see lib/query.js)
+app.get('/api/courses', listHandler('courses', { present: presentCourse, publishable: true }));
+
+// One course; drafts only for logged-in users or with ?preview=<token>
+app.get('/api/courses/:id', async (req, res, next) => {
+    try {
+        const course = await db.courses.get(req.params.id);
+        if (!course || !(isLive(course) || isLoggedIn(req) || canPreview(course, req.query.preview))) {
+            return res.status(404).json({ error: 'Not found' });
+        }
+        res.json(presentCourse(course, req));
+    } catch (err) {
+        next(err);
+    }
+});
+
+app.post('/api/courses', requirePermission('content:write'), upload.single('image'), validate(schemas.course), async (req, res, next) => {
+    try {
+        const { title, date, description, content } = req.body;
+        let imageUrl = req.body.image || '';
+        
+        const { changes: publishing, error } = buildPublishing(req.body);
+        if (error) return res.status(400).json({ success: false, error });
+        
+        if (req.file) {
+            imageUrl = await media.save(req.file);
+        }
+        
+        const course = await db.courses.create({
+            title,
+            date: date || new Date().toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }),
+            comments: 0,
+            description: description || '',
+            content: content || '',
+            image: imageUrl,
+            lessons: [],
+            ...publishing
+        });
+        await recordAudit(req, 'course.create', { targetId: course.id, after: course });
+        await recordRevision(req, 'course', null, course, 'Created');
+        res.json({ success: true, course });
+    } catch (err) {
+        next(err);
+    }
+});
+
+app.put('/api/courses/:id', requirePermission('content:write'), upload.single('image'), validate(schemas.course, { partial: true }), async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { title, date, description, content } = req.body;
+        
+        const existing = await db.courses.get(id);
+        if (!existing) return res.status(404).json({ error: 'Not found' });
+        
+        const { changes: publishing, error } = buildPublishing(req.body, existing);
+        if (error) return res.status(400).json({ success: false, error });
+        
+        const imageUrl = req.file ? await media.save(req.file) : undefined;
+        
+        const course = await db.courses.update(id, {
+            title,
+            date,
+            description,
+            content,
+            image: imageUrl,
+            ...publishing
+        });
+        await recordAudit(req, 'course.update', { targetId: id, before: existing, after: course });
+        await recordRevision(req, 'course', existing, course);
+        
+        // Only drop the old image once the record points at the new one
+        if (imageUrl && existing.image !== imageUrl) await media.remove(existing.image);
+        res.json({ success: true, course });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Moves the course and its comments to the trash; see TRASH ROUTES
+app.delete('/api/courses/:id', requirePermission('content:delete'), async (req, res, next) => {
+    try {
+        const course = await db.courses.get(req.params.id);
+        if (!course) return res.status(404).json({ error: 'Not found' });
+        
+        const entry = await moveToTrash('course', course, req.user);
+        await recordAudit(req, 'course.delete', { targetId: course.id, before: course });
+        res.json({ success: true, message: 'Moved to trash', trashId: entry.id });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// ========================================================================
+// COURSE LESSONS ROUTES
+// ========================================================================
+
+// Load the course named in the URL into req.course. Like the course
+// itself, lessons and comments of a draft are hidden from the public.
+const loadCourse = async (req, res, next) => {
+    try {
+        req.course = await db.courses.get(req.params.id);
+        const visible = req.course && (isLive(req.course) || isLoggedIn(req) || canPreview(req.course, req.query.preview));
+        if (!visible) return res.status(404).json({ error: 'Course not found' });
+        next();
+    } catch (err) {
+        next(err);
+    }
+};
+
+const lessonsOf = (course) => course.lessons || [];
+
+// Save a course's new lesson list and audit it as `action`
+async function saveLessons(req, action, lessons) {
+    const course = await db.courses.update(req.course.id, { lessons });
+    await recordAudit(req, action, { targetId: req.course.id, before: req.course, after: course });
+    await recordRevision(req, 'course', req.course, course);
+}
+
+app.get('/api/courses/:id/lessons', loadCourse, (req, res) => {
+    res.json(lessonsOf(req.course));
+});
+
+// Insert a lesson; `position` is zero-based and defaults to the end
+app.post('/api/courses/:id/lessons', requirePermission('content:write'), validate(schemas.lesson), loadCourse, async (req, res, next) => {
+    try {
+        const { lesson, error } = buildLesson(req.body);
+        if (error) return res.status(400).json({ success: false, error });
+        
+        const lessons = insertLesson(lessonsOf(req.course), lesson, req.body.position);
+        await saveLessons(req, 'course.add_lesson', lessons);
+        res.json({ success: true, lesson, lessons });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Reorder with { order: [lessonId, ...] } listing every lesson once
+app.put('/api/courses/:id/lessons/order', requirePermission('content:write'), validate(schemas.lessonOrder), loadCourse, async (req, res, next) => {
+    try {
+        const { lessons, error } = reorderLessons(lessonsOf(req.course), req.body.order);
+        if (error) return res.status(400).json({ success: false, error });
+        
+        await saveLessons(req, 'course.reorder_lessons', lessons);
+        res.json({ success: true, lessons });
+    } catch (err) {
+        next(err);
+    }
+});
+
+app.put('/api/courses/:id/lessons/:lessonId', requirePermission('content:write'), validate(schemas.lesson, { partial: true }), loadCourse, async (req, res, next) => {
+    try {
+        const current = lessonsOf(req.course);
+        const existing = current.find(l => l.id === req.params.lessonId);
+        if (!existing) return res.status(404).json({ success: false, error: 'Lesson not found' });
+        
+        const { lesson, error } = buildLesson(req.body, existing);
+        if (error) return res.status(400).json({ success: false, error });
+        
+        const lessons = current.map(l => (l.id === lesson.id ? lesson : l));
+        await saveLessons(req, 'course.update_lesson', lessons);
+        res.json({ success: true, lesson, lessons });
+    } catch (err) {
+        next(err);
+    }
+});
+
+app.delete('/api/courses/:id/lessons/:lessonId', requirePermission('content:write'), loadCourse, async (req, res, next) => {
+    try {
+        const current = lessonsOf(req.course);
+        const lessons = current.filter(l => l.id !== req.params.lessonId);
+        if (lessons.length === current.length) return res.status(404).json({ success: false, error: 'Lesson not found' });
+        
+        await saveLessons(req, 'course.remove_lesson', lessons);
+        res.json({ success: true, lessons });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// ========================================================================
+// COMMENTS ROUTES
+// ========================================================================
+
+// At most 5 public comments per IP every 10 minutes
+const commentLimiter = createRateLimiter({ windowMs: 10 * 60 * 1000, max: 5 });
+
+// Keep the course's `comments` field equal to its approved comment count
+async function syncCommentCount(courseId) {
+    const approved = await db.comments.findMany({ courseId, status: 'approved' });
+    await db.courses.update(courseId, { comments: approved.length });
+}
+
+app.get('/api/courses/:id/comments', loadCourse, async (req, res, next) => {
+    try {
+        const comments = await db.comments.findMany({ courseId: req.course.id, status: 'approved' });
+        res.json(comments.map(publicComment));
+    } catch (err) {
+        next(err);
+    }
+});
+
+app.post('/api/courses/:id/comments', dropHoneypot(COMMENT_HONEYPOT, 'Comment submitted for review'), validate(schemas.comment), loadCourse, async (req, res, next) => {
+    try {
+        if (!commentLimiter.hit(req.ip)) {
+            res.set('Retry-After', String(commentLimiter.retryAfter(req.ip)));
+            return res.status(429).json({ success: false, error: 'Too many comments. Please try again later.' });
+        }
+        
+        const { comment, error, spam } = checkComment(req.body);
+        
+        // Bots get the same answer as people so they don't learn to adapt
+        if (spam) return res.json({ success: true, message: 'Comment submitted for review' });
+        if (error) return res.status(400).json({ success: false, error });
+        
+        await db.comments.create({ ...comment, courseId: req.course.id, status: 'pending', ip: req.ip });
+        res.json({ success: true, message: 'Comment submitted for review' });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Moderation queue, e.g. /api/comments?status=pending
+app.get('/api/comments', requirePermission('content:read'), async (req, res, next) => {
+    try {
+        const { status, courseId } = req.query;
+        res.json(await db.comments.findMany({ status, courseId }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Approve or reject with { status }
+app.put('/api/comments/:id', requirePermission('content:write'), validate(schemas.commentModeration), async (req, res, next) => {
+    try {
+        const { status } = req.body;
+        
+        const existing = await db.comments.get(req.params.id);
+        if (!existing) return res.status(404).json({ success: false, error: 'Not found' });
+        
+        const comment = await db.comments.update(existing.id, { status });
+        await syncCommentCount(comment.courseId);
+        await recordAudit(req, 'comment.moderate', { targetId: comment.id, before: existing, after: comment });
+        res.json({ success: true, comment });
+    } catch (err) {
+        next(err);
+    }
+});
+
+app.delete('/api/comments/:id', requirePermission('content:delete'), async (req, res, next) => {
+    try {
+        const comment = await db.comments.delete(req.params.id);
+        if (!comment) return res.status(404).json({ success: false, error: 'Not found' });
+        
+        await syncCommentCount(comment.courseId);
+        await recordAudit(req, 'comment.delete', { targetId: comment.id, before: comment });
+        res.json({ success: true, message: 'Deleted' });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// ========================================================================
+// ENQUIRIES ROUTES
+// ========================================================================
+
+// At most 5 public enquiries per IP every 10 minutes
+const enquiryLimiter = createRateLimiter({ windowMs: 10 * 60 * 1000, max: 5 });
+
+const ENQUIRY_THANKS = 'Thanks! We will contact you shortly.';
+
+// Quote or installation request from the website. The response also
+// carries a WhatsApp link with the same details, for people who would
+// rather chat.
+app.post('/api/enquiries', dropHoneypot(ENQUIRY_HONEYPOT, ENQUIRY_THANKS), validate(schemas.enquiry), async (req, res, next) => {
+    try {
+        if (!enquiryLimiter.hit(req.ip)) {
+            res.set('Retry-After', String(enquiryLimiter.retryAfter(req.ip)));
+            return res.status(429).json({ success: false, error: 'Too many enquiries. Please try again later.' });
+        }
+        
+        const { enquiry, error, spam } = checkEnquiry(req.body, await liveProducts());
+        
+        // Bots get the same answer as people so they don't learn to adapt
+        if (spam) return res.json({ success: true, message: ENQUIRY_THANKS });
+        if (error) return res.status(400).json({ success: false, error });
+        
+        await db.enquiries.create({ ...enquiry, status: 'new', assignedTo: null, notes: [], ip: req.ip });
+        res.json({
+            success: true,
+            message: ENQUIRY_THANKS,
+            whatsappLink: whatsappUrl(siteSettings, enquiryMessage(enquiry, siteSettings))
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Users an enquiry can be assigned to
+const assignableUsers = async () => (await db.users.list())
+    .filter(user => !user.disabled && can(user, 'content:write'))
+    .map(({ id, username, name }) => ({ id, username, name }));
+
+const enquiryFilters = (req) => {
+    const { status, assignedTo } = req.query;
+    if (status !== undefined && !ENQUIRY_STATUSES.includes(status)) {
+        return { error: `status must be one of: ${ENQUIRY_STATUSES.join(', ')}` };
+    }
+    return { filter: { status, assignedTo } };
+};
+
+// Inbox, e.g. /api/enquiries?status=new&q=inverter&limit=20
+app.get('/api/enquiries', requirePermission('content:read'), listHandler('enquiries', { filters: enquiryFilters }));
+
+app.get('/api/enquiries/assignees', requirePermission('content:read'), async (req, res, next) => {
+    try {
+        res.json(await assignableUsers());
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Change { status, assignedTo }
+app.put('/api/enquiries/:id', requirePermission('content:write'), validate(schemas.enquiryUpdate, { partial: true }), async (req, res, next) => {
+    try {
+        const { changes, error } = buildEnquiryUpdate(req.body, await assignableUsers());
+        if (error) return res.status(400).json({ success: false, error });
+        
+        const existing = await db.enquiries.get(req.params.id);
+        if (!existing) return res.status(404).json({ success: false, error: 'Not found' });
+        
+        const enquiry = await db.enquiries.update(existing.id, changes);
+        await recordAudit(req, 'enquiry.update', { targetId: enquiry.id, before: existing, after: enquiry });
+        res.json({ success: true, enquiry });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Add a note with { text }
+app.post('/api/enquiries/:id/notes', requirePermission('content:write'), validate(schemas.enquiryNote), async (req, res, next) => {
+    try {
+        const existing = await db.enquiries.get(req.params.id);
+        if (!existing) return res.status(404).json({ success: false, error: 'Not found' });
+        
+        const { note, error } = buildNote(req.body, req.user);
+        if (error) return res.status(400).json({ success: false, error });
+        
+        const enquiry = await db.enquiries.update(existing.id, { notes: [...(existing.notes || []), note] });
+        await recordAudit(req, 'enquiry.add_note', { targetId: enquiry.id, before: existing, after: enquiry });
+        res.json({ success: true, enquiry });
+    } catch (err) {
+        next(err);
+    }
+});
+
+app.delete('/api/enquiries/:id', requirePermission('content:delete'), async (req, res, next) => {
+    try {
+        const enquiry = await db.enquiries.delete(req.params.id);
+        if (!enquiry) return res.status(404).json({ success: false, error: 'Not found' });
+        
+        await recordAudit(req, 'enquiry.delete', { targetId: enquiry.id, before: enquiry });
+        res.json({ success: true, message: 'Deleted' });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// ========================================================================
+// SETTINGS ROUTES
+// ========================================================================
+
+// Business details for the public site
+app.get('/api/settings', (req, res) => {
+    res.json(publicSettings(siteSettings));
+});
+
+// Everything, for the Settings section of the dashboard
+app.get('/api/settings/all', requirePermission('settings:manage'), async (req, res, next) => {
+    try {
+        res.json(await refreshSettings());
+    } catch (err) {
+        next(err);
+    }
+});
+
+app.put('/api/settings', requirePermission('settings:manage'), validate(schemas.settings, { partial: true }), async (req, res, next) => {
+    try {
+        const [stored] = await db.settings.list();
+        const { settings, error } = buildSettings(req.body, stored);
+        if (error) return res.status(400).json({ success: false, error });
+        
+        const { id, createdAt, updatedAt, ...changes } = settings;
+        const saved = stored ? await db.settings.update(stored.id, changes) : await db.settings.create(changes);
+        await recordAudit(req, 'settings.update', { targetId: saved.id, before: stored, after: saved });
+        
+        res.json({ success: true, settings: await refreshSettings() });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Rebuild every product's WhatsApp link from the current number and
+// template. Custom links that don't point at wa.me are left alone.
+app.post('/api/settings/regenerate-links', requirePermission('settings:manage'), async (req, res, next) => {
+    try {
+        let updated = 0;
+        let skipped = 0;
+        
+        for (const product of await db.products.list()) {
+            if (!isGeneratedLink(product.whatsappLink)) {
+                skipped++;
+                continue;
+            }
+            
+            const whatsappLink = productWhatsappLink(siteSettings, presentPrice(product));
+            if (whatsappLink !== product.whatsappLink) {
+                await db.products.update(product.id, { whatsappLink });
+                updated++;
+            }
+        }
+        
+        await recordAudit(req, 'settings.regenerate_links', { after: { updated, skipped } });
+        
+        res.json({ success: true, updated, skipped });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// ========================================================================
+// AUDIT LOG ROUTES
+// ========================================================================
+
+const auditFilters = (req) => {
+    const { action, username, targetId } = req.query;
+    return { filter: { action, username, targetId } };
+};
+
+// e.g. /api/audit?action=product.delete&limit=50, newest first
+app.get('/api/audit', requirePermission('audit:read'), listHandler('auditLog', { present: presentAuditEntry, filters: auditFilters }));
+
+// Same filters as /api/audit, every matching entry as a CSV download
+app.get('/api/audit/export', requirePermission('audit:read'), async (req, res, next) => {
+    try {
+        const { items } = await db.auditLog.query({ search: req.query.q, ...auditFilters(req) });
+        const date = new Date().toISOString().slice(0, 10);
+        
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="audit-log-${date}.csv"`);
+        res.send(toCsv(items));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// ========================================================================
+// TRASH ROUTES
+// ========================================================================
+
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Move a product or course, and the records that belong to it, into the
+// trash. The entry is written first so nothing is lost if a delete fails.
+async function moveToTrash(type, record, user) {
+    const { collection, related: relatedFields } = TRASH_TYPES[type];
+    
+    const related = {};
+    for (const [relatedCollection, field] of Object.entries(relatedFields)) {
+        related[relatedCollection] = await db[relatedCollection].findMany({ [field]: record.id });
+    }
+    
+    const entry = await db.trash.create(trashEntry(type, record, related, user));
+    await db[collection].delete(record.id);
+    for (const [relatedCollection, records] of Object.entries(related)) {
+        for (const relatedRecord of records) await db[relatedCollection].delete(relatedRecord.id);
+    }
+    return entry;
+}
+
+// Delete a trash entry for good, and only now its image and history
+async function purgeTrashEntry(entry) {
+    await db.trash.delete(entry.id);
+    const revisions = await db.revisions.findMany({ type: entry.type, recordId: entry.recordId });
+    for (const revision of revisions) await db.revisions.delete(revision.id);
+    await media.remove(entry.record.image);
+}
+
+async function purgeExpiredTrash() {
+    const expired = (await db.trash.list()).filter(entry => isExpired(entry, siteSettings.trashRetentionDays));
+    for (const entry of expired) {
+        await purgeTrashEntry(entry);
+        await recordAudit(null, `${entry.type}.purge`, { targetId: entry.recordId, before: entry.record });
+    }
+    return expired.length;
+}
+
+const runTrashPurge = () => purgeExpiredTrash()
+    .then(count => { if (count > 0) console.log(`🗑️  Purged ${count} expired item(s) from the trash`); })
+    .catch(err => console.error('Trash purge failed:', err.message));
+
+settingsLoaded.then(runTrashPurge);
+setInterval(runTrashPurge, TRASH_PURGE_INTERVAL_MS).unref();
+
+const trashFilters = (req) => {
+    const { type } = req.query;
+    if (type !== undefined && !TRASH_TYPES[type]) {
+        return { error: `type must be one of: ${Object.keys(TRASH_TYPES).join(', ')}` };
+    }
+    return { filter: { type } };
+};
+
+// Deleted products and courses, most recently deleted first
+app.get('/api/trash', requirePermission('content:read'), listHandler('trash', {
+    present: (entry) => presentTrashEntry(entry, siteSettings.trashRetentionDays),
+    filters: trashFilters
+}));
+
+// Put a record and its related records back, with their original ids
+// Restored records are shown as their own GET routes show them
+const presentRestored = { product: presentProduct, course: presentCourse };
+
+app.post('/api/trash/:id/restore', requirePermission('content:delete'), async (req, res, next) => {
+    try {
+        const entry = await db.trash.get(req.params.id);
+        if (!entry) return res.status(404).json({ success: false, error: 'Not found' });
+        
+        const { collection } = TRASH_TYPES[entry.type];
+        if (await db[collection].get(entry.recordId)) {
+            return res.status(409).json({ success: false, error: `A ${entry.type} with id ${entry.recordId} already exists` });
+        }
+        
+        // The category may have been deleted while the product was in the trash
+        const record = { ...entry.record };
+        if (record.categoryId && !(await db.categories.get(record.categoryId))) record.categoryId = null;
+        
+        const restored = await db[collection].create(record);
+        for (const [relatedCollection, records] of Object.entries(entry.related || {})) {
+            for (const relatedRecord of records) await db[relatedCollection].create(relatedRecord);
+        }
+        await db.trash.delete(entry.id);
+        
+        await recordAudit(req, `${entry.type}.restore`, { targetId: restored.id, after: restored });
+        res.json({ success: true, [entry.type]: presentRestored[entry.type](restored, req) });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Delete permanently, without waiting for the retention period
+app.delete('/api/trash/:id', requirePermission('content:delete'), async (req, res, next) => {
+    try {
+        const entry = await db.trash.get(req.params.id);
+        if (!entry) return res.status(404).json({ success: false, error: 'Not found' });
+        
+        await purgeTrashEntry(entry);
+        await recordAudit(req, `${entry.type}.purge`, { targetId: entry.recordId, before: entry.record });
+        res.json({ success: true, message: 'Deleted permanently' });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// ========================================================================
+// PAGE ROUTES (Optional - for standalone backend, you can remove these)
+// ========================================================================
+
+// Remove or comment out the root route since this is just an API server
+// app.get('/', (req, res) => {
+//     res.sendFile(path.join(__dirname, 'index.html'));
+// });
+
+app.get('/admin', (req, res) => {
+    if (req.session && req.session.userId) {
+        res.sendFile(path.join(__dirname, 'public', 'admin-dashboard.html'));
+    } else {
+        res.redirect('/admin-login.html');
+    }
+});
+
+app.get('/admin-login.html', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'admin-login.html'));
+});
+
+const UPLOAD_LIMIT_MESSAGES = {
+    image: 'Image must be at most 5MB',
+    file: `Import file must be at most ${bulk.MAX_IMPORT_BYTES / 1024 / 1024}MB`
+};
+
+// Error handler. Bad uploads and unreadable JSON bodies are the
+// client's fault and get the same 400 shape as validation errors.
+// Anything else is logged here; the client only gets a generic message,
+// as storage errors can name files, tables and queries.
+app.use((err, req, res, next) => {
+    if (err instanceof multer.MulterError) {
+        const message = err.code === 'LIMIT_FILE_SIZE' ? UPLOAD_LIMIT_MESSAGES[err.field] || err.message : err.message;
+        return res.status(400).json({ success: false, error: message, errors: [{ field: err.field || 'image', message }] });
+    }
+    if (err.status === 400) {
+        const message = err.type === 'entity.parse.failed' ? 'Request body is not valid JSON' : err.message;
+        return res.status(400).json({ success: false, error: message, errors: err.field ? [{ field: err.field, message }] : [] });
+    }
+    console.error(`${req.method} ${req.originalUrl} failed:`, err);
+    if (res.headersSent) return next(err);
+    res.status(500).json({ success: false, error: 'Something went wrong. Please try again.', errors: [] });
 });
 
 app.listen(PORT, () => {
@@ -440,7 +2078,7 @@ app.listen(PORT, () => {
     console.log('='.repeat(50));
     console.log(`Website: http://localhost:${PORT}`);
     console.log(`Admin:   http://localhost:${PORT}/admin-login.html`);
-    console.log(`Mode:    ${useSupabase ? '✓ Supabase (Images saved online)' : '⚠️  Local files (Images lost on restart)'}`);
+    console.log(`Mode:    ${useSupabase ? '✓ Supabase (Images saved online)' : '⚠️  Local files (Images in public/uploads, lost on redeploy)'}`);
     console.log('='.repeat(50));
     console.log('');
     
@@ -0,0 +1,261 @@
+-- NK Solar Tech - Supabase schema
+--
+-- Run this in the Supabase SQL editor before `node sync-data.js import`.
+-- Column names are the snake_case form of the camelCase fields the API
+-- returns (whatsapp_link -> whatsappLink, created_at -> createdAt, ...).
+-- Statements are idempotent, so the file can be re-run after upgrades.
+
+create table if not exists users (
+    id text primary key,
+    username text not null unique,
+    password text not null,
+    name text default '',
+    role text not null default 'admin',
+    disabled boolean not null default false,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz
+);
+
+alter table users add column if not exists name text default '';
+alter table users add column if not exists disabled boolean not null default false;
+alter table users add column if not exists updated_at timestamptz;
+
+create table if not exists categories (
+    id text primary key,
+    name text not null,
+    slug text not null unique,
+    parent_id text references categories (id) on delete restrict,
+    "order" integer not null default 0,
+    description text default '',
+    created_at timestamptz not null default now(),
+    updated_at timestamptz
+);
+
+create table if not exists products (
+    id text primary key,
+    title text not null,
+    price text default '',
+    price_amount bigint,
+    currency text not null default 'NGN',
+    sale_amount bigint,
+    sale_starts_at timestamptz,
+    sale_ends_at timestamptz,
+    price_on_request boolean not null default false,
+    description text default '',
+    image text default '',
+    whatsapp_link text default '',
+    category_id text references categories (id) on delete set null,
+    tags text[] not null default '{}',
+    stock_quantity integer,
+    low_stock_threshold integer not null default 5,
+    allow_preorder boolean not null default false,
+    specs jsonb not null default '{}',
+    status text not null default 'published',
+    publish_at timestamptz,
+    preview_token text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz
+);
+
+-- Structured pricing; `price` only keeps legacy text that couldn't be parsed
+alter table products add column if not exists price_amount bigint;
+alter table products add column if not exists currency text not null default 'NGN';
+alter table products add column if not exists sale_amount bigint;
+alter table products add column if not exists sale_starts_at timestamptz;
+alter table products add column if not exists sale_ends_at timestamptz;
+alter table products add column if not exists price_on_request boolean not null default false;
+
+alter table products add column if not exists category_id text references categories (id) on delete set null;
+alter table products add column if not exists tags text[] not null default '{}';
+
+alter table products add column if not exists stock_quantity integer;
+alter table products add column if not exists low_stock_threshold integer not null default 5;
+alter table products add column if not exists allow_preorder boolean not null default false;
+
+alter table products add column if not exists specs jsonb not null default '{}';
+
+-- Drafts and scheduled publishing; existing rows stay published
+alter table products add column if not exists status text not null default 'published';
+alter table products add column if not exists publish_at timestamptz;
+alter table products add column if not exists preview_token text;
+
+create index if not exists products_category_idx on products (category_id);
+create index if not exists products_tags_idx on products using gin (tags);
+
+create table if not exists stock_movements (
+    id text primary key,
+    product_id text not null references products (id) on delete cascade,
+    change integer not null,
+    quantity_after integer not null,
+    reason text not null,
+    user_id text,
+    username text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz
+);
+
+create index if not exists stock_movements_product_idx on stock_movements (product_id, created_at desc);
+
+create table if not exists courses (
+    id text primary key,
+    title text not null,
+    date text default '',
+    comments integer not null default 0,
+    description text default '',
+    content text default '',
+    image text default '',
+    lessons jsonb not null default '[]',
+    status text not null default 'published',
+    publish_at timestamptz,
+    preview_token text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz
+);
+
+alter table courses add column if not exists updated_at timestamptz;
+alter table courses add column if not exists lessons jsonb not null default '[]';
+alter table courses add column if not exists status text not null default 'published';
+alter table courses add column if not exists publish_at timestamptz;
+alter table courses add column if not exists preview_token text;
+
+create table if not exists comments (
+    id text primary key,
+    course_id text not null references courses (id) on delete cascade,
+    name text not null,
+    message text not null,
+    status text not null default 'pending',
+    ip text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz
+);
+
+create index if not exists comments_course_status_idx on comments (course_id, status);
+
+create table if not exists enquiries (
+    id text primary key,
+    type text not null default 'quote',
+    name text not null,
+    phone text not null,
+    location text not null default '',
+    product_ids text[] not null default '{}',
+    product_titles text[] not null default '{}',
+    message text not null default '',
+    status text not null default 'new',
+    assigned_to text references users (id) on delete set null,
+    notes jsonb not null default '[]',
+    ip text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz
+);
+
+create index if not exists enquiries_status_idx on enquiries (status, created_at desc);
+
+-- A single row of site settings, edited from the dashboard
+create table if not exists settings (
+    id text primary key,
+    business_name text not null,
+    whatsapp_number text not null,
+    contact_email text not null default '',
+    message_templates jsonb not null default '{}',
+    allowed_origins text[] not null default '{}',
+    social_links jsonb not null default '{}',
+    trash_retention_days integer not null default 30,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz
+);
+
+alter table settings add column if not exists trash_retention_days integer not null default 30;
+
+create table if not exists audit_log (
+    id text primary key,
+    action text not null,
+    target_id text,
+    user_id text,
+    username text,
+    changes jsonb not null default '{}',
+    ip text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz
+);
+
+create index if not exists audit_log_created_idx on audit_log (created_at desc);
+create index if not exists audit_log_action_idx on audit_log (action, created_at desc);
+
+-- Deleted products and courses, with the records that belonged to them,
+-- until they are restored or purged
+create table if not exists trash (
+    id text primary key,
+    type text not null,
+    record_id text not null,
+    title text,
+    record jsonb not null,
+    related jsonb not null default '{}',
+    user_id text,
+    username text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz
+);
+
+create index if not exists trash_created_idx on trash (created_at desc);
+
+-- One row per saved version of a product or course
+create table if not exists revisions (
+    id text primary key,
+    type text not null,
+    record_id text not null,
+    version integer not null,
+    snapshot jsonb not null,
+    fields text[] not null default '{}',
+    note text default '',
+    user_id text,
+    username text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz,
+    unique (type, record_id, version)
+);
+
+-- Login sessions (see lib/sessions.js); id is the session cookie's id
+create table if not exists sessions (
+    id text primary key,
+    user_id text,
+    data jsonb not null,
+    expires_at timestamptz not null,
+    last_seen_at timestamptz,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz
+);
+
+create index if not exists sessions_user_idx on sessions (user_id);
+create index if not exists sessions_expires_idx on sessions (expires_at);
+
+-- Token logins (see lib/tokens.js): one per refresh token, which is
+-- stored as a SHA-256 hash
+create table if not exists refresh_tokens (
+    id text primary key,
+    user_id text not null,
+    token_hash text not null,
+    expires_at timestamptz not null,
+    last_seen_at timestamptz,
+    ip text,
+    user_agent text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz
+);
+
+create index if not exists refresh_tokens_user_idx on refresh_tokens (user_id);
+
+-- API keys for scripts; only the key's SHA-256 hash is stored
+create table if not exists api_keys (
+    id text primary key,
+    name text not null,
+    user_id text not null,
+    username text,
+    scopes text[] not null default '{}',
+    key_hash text not null,
+    expires_at timestamptz,
+    last_used_at timestamptz,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz
+);
+
+create index if not exists api_keys_user_idx on api_keys (user_id);
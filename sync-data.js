@@ -0,0 +1,285 @@
+/**
+ * NK Solar Tech - Data Sync Script
+ *
+ * Copies data between the local JSON files (data/) and Supabase, in
+ * either direction:
+ *
+ *   import   data/*.json -> Supabase   (moving a local site to Supabase)
+ *   export   Supabase -> data/*.json   (a local copy or backup)
+ *
+ * Records are matched by id and written in batches; records that are
+ * already the same are skipped and nothing is ever deleted, so it is safe
+ * to run again. Run supabase-schema.sql before the first import.
+ *
+ * Run: node sync-data.js import|export [options]
+ *
+ *   --dry-run         show what would be added or changed, write nothing
+ *   --only a,b        just these collections (e.g. products,categories)
+ *   --images          also copy product and course images between
+ *                     public/uploads and the storage bucket
+ *   --batch-size N    records per write (default 100)
+ *   --verbose         list unchanged records too
+ *
+ * Exits with code 1 if any collection or record could not be synced.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { createRepositories } = require('./lib/store');
+const { isHashed, hashPassword, verifyPassword } = require('./lib/passwords');
+const { BUCKET, LOCAL_PREFIX, contentTypeOf, imageLocation } = require('./lib/media');
+const { SYNC_ORDER, DEFAULT_BATCH_SIZE, planSync, parentsFirst, chunk, labelOf } = require('./lib/sync');
+
+const USAGE = 'Usage: node sync-data.js import|export [--dry-run] [--only a,b] [--images] [--batch-size N] [--verbose]';
+
+const DATA_DIR = path.join(__dirname, 'data');
+const UPLOADS_DIR = path.join(__dirname, 'public', 'uploads');
+
+// Collections whose records have an `image`
+const IMAGE_COLLECTIONS = ['products', 'courses'];
+
+// Supabase returns at most 1000 rows per request
+const PAGE_SIZE = 1000;
+
+// ========================================================================
+// OPTIONS
+// ========================================================================
+
+function parseArgs(argv) {
+    const options = { direction: argv[0], dryRun: false, only: null, images: false, batchSize: DEFAULT_BATCH_SIZE, verbose: false };
+
+    for (let i = 1; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--dry-run') options.dryRun = true;
+        else if (arg === '--images') options.images = true;
+        else if (arg === '--verbose') options.verbose = true;
+        else if (arg === '--only') options.only = String(argv[++i] || '').split(',').map(s => s.trim()).filter(Boolean);
+        else if (arg === '--batch-size') options.batchSize = Number(argv[++i]);
+        else throw new Error(`Unknown option: ${arg}`);
+    }
+
+    if (!['import', 'export'].includes(options.direction)) throw new Error('Say whether to import or export');
+    if (!Number.isInteger(options.batchSize) || options.batchSize < 1) throw new Error('--batch-size must be a whole number above 0');
+
+    const unknown = (options.only || []).filter(name => !SYNC_ORDER.includes(name));
+    if (unknown.length > 0) throw new Error(`Unknown collection(s): ${unknown.join(', ')}. Known: ${SYNC_ORDER.join(', ')}`);
+    return options;
+}
+
+let options;
+try {
+    options = parseArgs(process.argv.slice(2));
+} catch (err) {
+    console.log(`❌ ${err.message}\n${USAGE}`);
+    process.exit(1);
+}
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_SERVICE_KEY;
+
+if (!supabaseUrl || !supabaseKey) {
+    console.log('⚠️  Supabase not configured!');
+    console.log('Please add SUPABASE_URL and SUPABASE_SERVICE_KEY to .env file');
+    console.log('See SETUP.md for instructions.');
+    process.exit(1);
+}
+
+const { createClient } = require('@supabase/supabase-js');
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+const local = createRepositories({ dataDir: DATA_DIR });
+const remote = createRepositories({ supabaseClient: supabase });
+
+const importing = options.direction === 'import';
+const source = importing ? local : remote;
+const target = importing ? remote : local;
+
+// ========================================================================
+// READING
+// ========================================================================
+
+async function readAll(repo) {
+    const records = [];
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+        const { items } = await repo.query({ sort: 'createdAt', order: 'asc', limit: PAGE_SIZE, offset });
+        records.push(...items);
+        if (items.length < PAGE_SIZE) return records;
+    }
+}
+
+// ========================================================================
+// IMAGES
+// ========================================================================
+
+const bucketUrl = (objectPath) => supabase.storage.from(BUCKET).getPublicUrl(objectPath).data.publicUrl;
+
+// Where a record's image will live on the other side, and how to get it
+// there: { url, copy } or null when it stays as it is
+function imageMove(record) {
+    const location = imageLocation(record.image);
+    if (!location) return null;
+
+    if (importing && location.file) {
+        const objectPath = `products/${location.file}`;
+        return {
+            url: bucketUrl(objectPath),
+            copy: async () => {
+                const buffer = await fs.promises.readFile(path.join(UPLOADS_DIR, location.file));
+                const { error } = await supabase.storage.from(BUCKET)
+                    .upload(objectPath, buffer, { contentType: contentTypeOf(location.file), upsert: true });
+                if (error) throw error;
+            }
+        };
+    }
+
+    if (!importing && location.objectPath) {
+        const file = path.basename(location.objectPath);
+        return {
+            url: `${LOCAL_PREFIX}${file}`,
+            copy: async () => {
+                const { data, error } = await supabase.storage.from(BUCKET).download(location.objectPath);
+                if (error) throw error;
+                await fs.promises.mkdir(UPLOADS_DIR, { recursive: true });
+                await fs.promises.writeFile(path.join(UPLOADS_DIR, file), Buffer.from(await data.arrayBuffer()));
+            }
+        };
+    }
+    return null;
+}
+
+// ========================================================================
+// PREPARING RECORDS
+// ========================================================================
+
+// Supabase must never get a plaintext password. One that still matches
+// the stored hash keeps that hash, so it doesn't show up as a change.
+async function withHashedPassword(user, existing) {
+    if (!user.password || isHashed(user.password)) return user;
+    if (existing && await verifyPassword(user.password, existing.password)) {
+        return { ...user, password: existing.password };
+    }
+    return { ...user, password: await hashPassword(user.password) };
+}
+
+// The records as they will be written, with the image copies they need
+// (keyed by id)
+async function prepare(collection, records, targetRecords) {
+    const copies = new Map();
+    const existing = new Map(targetRecords.map(record => [record.id, record]));
+    let prepared = collection === 'categories' ? parentsFirst(records) : records;
+
+    if (importing && collection === 'users') {
+        prepared = await Promise.all(prepared.map(user => withHashedPassword(user, existing.get(user.id))));
+    }
+
+    if (options.images && IMAGE_COLLECTIONS.includes(collection)) {
+        prepared = prepared.map(record => {
+            const move = imageMove(record);
+            if (!move) return record;
+            copies.set(record.id, move.copy);
+            return { ...record, image: move.url };
+        });
+    }
+    return { prepared, copies };
+}
+
+// ========================================================================
+// WRITING
+// ========================================================================
+
+// Copies images, then upserts the records. A batch that fails is retried
+// one record at a time, so only the records at fault are reported.
+async function write(collection, records, copies) {
+    const failures = [];
+    const ready = [];
+
+    for (const record of records) {
+        const copy = copies.get(record.id);
+        try {
+            if (copy) await copy();
+            ready.push(record);
+        } catch (err) {
+            failures.push({ record, message: `image: ${err.message}` });
+        }
+    }
+
+    for (const batch of chunk(ready, options.batchSize)) {
+        try {
+            await target[collection].upsertMany(batch);
+        } catch (batchErr) {
+            for (const record of batch) {
+                try {
+                    await target[collection].upsertMany([record]);
+                } catch (err) {
+                    failures.push({ record, message: err.message });
+                }
+            }
+        }
+    }
+    return failures;
+}
+
+// ========================================================================
+// SYNC
+// ========================================================================
+
+async function syncCollection(collection) {
+    const [sourceRecords, targetRecords] = await Promise.all([readAll(source[collection]), readAll(target[collection])]);
+    const { prepared, copies } = await prepare(collection, sourceRecords, targetRecords);
+    const plan = planSync(prepared, targetRecords);
+
+    const pending = plan.filter(entry => entry.status !== 'unchanged');
+    const counts = { added: 0, changed: 0, unchanged: 0 };
+    plan.forEach(entry => counts[entry.status]++);
+
+    console.log(`📦 ${collection}: ${counts.added} new, ${counts.changed} changed, ${counts.unchanged} unchanged`);
+    plan.forEach(({ record, status, fields }) => {
+        if (status === 'added') console.log(`  + ${record.id} ${labelOf(record)}`);
+        if (status === 'changed') console.log(`  ~ ${record.id} ${labelOf(record)} (${fields.join(', ')})`);
+        if (status === 'unchanged' && options.verbose) console.log(`  = ${record.id} ${labelOf(record)}`);
+    });
+
+    if (options.dryRun || pending.length === 0) return { ...counts, failed: 0 };
+
+    const failures = await write(collection, pending.map(entry => entry.record), copies);
+    failures.forEach(({ record, message }) => console.log(`  ✗ ${record.id} ${labelOf(record)}: ${message}`));
+    console.log(`  ✓ wrote ${pending.length - failures.length} of ${pending.length}`);
+    return { ...counts, failed: failures.length };
+}
+
+async function sync() {
+    const from = importing ? 'local JSON' : 'Supabase';
+    const to = importing ? 'Supabase' : 'local JSON';
+    console.log(`Syncing ${from} -> ${to}${options.dryRun ? ' - dry run' : ''}...\n`);
+
+    const collections = SYNC_ORDER.filter(name => !options.only || options.only.includes(name));
+    const totals = { added: 0, changed: 0, unchanged: 0, failed: 0 };
+
+    for (const collection of collections) {
+        let result;
+        try {
+            result = await syncCollection(collection);
+        } catch (err) {
+            // e.g. the table doesn't exist yet; the rest can still be copied
+            console.log(`📦 ${collection}: ✗ ${err.message}`);
+            result = { added: 0, changed: 0, unchanged: 0, failed: 1 };
+        }
+        Object.keys(totals).forEach(key => { totals[key] += result[key]; });
+    }
+
+    const summary = `${totals.added} new, ${totals.changed} changed, ${totals.unchanged} unchanged`;
+    if (totals.failed > 0) {
+        console.log(`\n❌ ${totals.failed} record(s) or collection(s) failed (${summary}).`);
+        process.exitCode = 1;
+    } else if (options.dryRun) {
+        console.log(`\n✓ Dry run: ${summary}. Nothing was written.`);
+    } else {
+        console.log(`\n✅ Sync complete: ${summary}.`);
+    }
+}
+
+sync().catch(err => {
+    console.error('❌ Sync failed:', err.message);
+    process.exit(1);
+});